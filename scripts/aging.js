@@ -0,0 +1,117 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Aging used when the policy file has no "aging" section
+const DEFAULT_AGING = {
+    // Which day count drives the colours: 'business' or 'calendar'
+    basis: 'business',
+    // IANA timezone that decides where a day starts and ends
+    timezone: 'UTC',
+    // Non-working days ("YYYY-MM-DD") in addition to weekends
+    holidays: [],
+    // A PR turns yellow/orange/red when it has been open more than this many days
+    thresholds: { yellow: 2, orange: 4, red: 6 },
+};
+
+/**
+ * Fill in defaults for the "aging" section of the policy file and validate it.
+ */
+function resolveAgingConfig(config = {}) {
+    const aging = {
+        ...DEFAULT_AGING,
+        ...config,
+        thresholds: { ...DEFAULT_AGING.thresholds, ...(config.thresholds || {}) },
+    };
+
+    if (aging.basis !== 'business' && aging.basis !== 'calendar') {
+        throw new Error('Aging basis must be "business" or "calendar", got "' + aging.basis + '"');
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: aging.timezone });
+    } catch (err) {
+        throw new Error('Invalid aging timezone "' + aging.timezone + '"');
+    }
+    aging.holidays.forEach((holiday) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday)) {
+            throw new Error('Aging holidays must be "YYYY-MM-DD" dates, got "' + holiday + '"');
+        }
+    });
+    const { yellow, orange, red } = aging.thresholds;
+    if (![yellow, orange, red].every((days) => typeof days === 'number' && isFinite(days) && days >= 0) ||
+        yellow > orange || orange > red) {
+        throw new Error('Aging thresholds must be non-negative numbers of days with yellow <= orange <= red, got ' +
+            JSON.stringify(aging.thresholds));
+    }
+
+    return aging;
+}
+
+// Calendar date ("YYYY-MM-DD") of a moment in the given timezone
+function localDate(date, timezone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).format(date);
+}
+
+// Number of working days after the day `from` falls on, up to and including the day of `to`
+function businessDaysBetween(from, to, aging) {
+    const holidays = new Set(aging.holidays);
+    const [startYear, startMonth, startDay] = localDate(from, aging.timezone).split('-').map(Number);
+    const end = localDate(to, aging.timezone);
+
+    let businessDays = 0;
+    const day = new Date(Date.UTC(startYear, startMonth - 1, startDay));
+    while (day.toISOString().slice(0, 10) < end) {
+        day.setUTCDate(day.getUTCDate() + 1);
+        const weekday = day.getUTCDay();
+        if (weekday !== 0 && weekday !== 6 && !holidays.has(day.toISOString().slice(0, 10))) {
+            businessDays += 1;
+        }
+    }
+    return businessDays;
+}
+
+// Colour of the # Days Open cell for a number of days
+function agingColor(days, thresholds) {
+    if (days > thresholds.red) return 'red';
+    if (days > thresholds.orange) return 'orange';
+    if (days > thresholds.yellow) return 'yellow';
+    return '#d4d4d4'; // Default (white)
+}
+
+/**
+ * Age of a PR created at `createdAt` as of `now`. daysOpen is the day count
+ * selected by the aging basis; both counts are returned for tooltips.
+ */
+function getAging(createdAt, now, aging) {
+    const created = new Date(createdAt);
+    const calendarDays = Math.floor((now - created) / DAY_MS);
+    const businessDays = businessDaysBetween(created, now, aging);
+    const daysOpen = aging.basis === 'business' ? businessDays : calendarDays;
+
+    return {
+        daysOpen,
+        calendarDays,
+        businessDays,
+        color: agingColor(daysOpen, aging.thresholds),
+        title: businessDays + ' business day' + (businessDays === 1 ? '' : 's') + ', ' +
+            calendarDays + ' calendar day' + (calendarDays === 1 ? '' : 's'),
+    };
+}
+
+// Short description of the thresholds for the report legend
+function describeThresholds(aging) {
+    return '>' + aging.thresholds.yellow + ' / >' + aging.thresholds.orange + ' / >' +
+        aging.thresholds.red + ' ' + aging.basis + ' days';
+}
+
+module.exports = {
+    DEFAULT_AGING,
+    resolveAgingConfig,
+    localDate,
+    getAging,
+    describeThresholds,
+};
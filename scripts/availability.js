@@ -0,0 +1,54 @@
+const fs = require('fs');
+const { localDate } = require('./aging');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Load an availability file mapping logins to the date ranges they are away,
+ * e.g. { "login": [{ "from": "2024-07-01", "to": "2024-07-12", "reason": "PTO" }] }.
+ * Dates are inclusive; "reason" is optional. Returns {} when no path is given.
+ */
+function loadAvailability(availabilityPath) {
+    if (!availabilityPath) return {};
+
+    const availability = JSON.parse(fs.readFileSync(availabilityPath, 'utf8'));
+    Object.entries(availability).forEach(([login, ranges]) => {
+        if (!Array.isArray(ranges)) {
+            throw new Error('Availability of "' + login + '" must be a list of { from, to } date ranges');
+        }
+        ranges.forEach((range) => {
+            if (!DATE_PATTERN.test(range.from) || !DATE_PATTERN.test(range.to) || range.from > range.to) {
+                throw new Error('Availability of "' + login + '" has an invalid date range ' + JSON.stringify(range) +
+                    ' - from and to must be "YYYY-MM-DD" dates, from no later than to');
+            }
+        });
+    });
+    return availability;
+}
+
+/**
+ * Reviewers who are away on the day `date` falls on in the timezone, as
+ * { login (lowercase): { from, to, reason } } with the range that covers the day.
+ */
+function getAbsentReviewers(availability, date, timezone) {
+    const today = localDate(date, timezone);
+    const absent = {};
+    Object.entries(availability).forEach(([login, ranges]) => {
+        const range = ranges.find((candidate) => candidate.from <= today && today <= candidate.to);
+        if (range) {
+            absent[login.toLowerCase()] = { from: range.from, to: range.to, reason: range.reason || null };
+        }
+    });
+    return absent;
+}
+
+// Tooltip text for an absent reviewer (the report page runs it too, so it stays plain ES5)
+function describeAbsence(absence) {
+    return 'Out of office ' + absence.from + ' to ' + absence.to + (absence.reason ? ' (' + absence.reason + ')' : '');
+}
+
+module.exports = {
+    loadAvailability,
+    getAbsentReviewers,
+    describeAbsence,
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Content types of the files the renderers write
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jsonl': 'text/plain; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+};
+
+// Event stream the served pages listen on for reloads
+const RELOAD_PATH = '/__reload';
+
+// Added to served HTML pages: reload whenever the server announces a rebuilt report
+const RELOAD_SCRIPT = '<script>new EventSource(\'' + RELOAD_PATH + '\').onmessage = function() { ' +
+    'location.reload(); };</script>\n';
+
+// Milliseconds between checks of the watched files, and before rebuilding after a change
+const WATCH_INTERVAL = 500;
+const REBUILD_DELAY = 100;
+
+function sendText(response, status, text) {
+    response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end(text);
+}
+
+/**
+ * Serve the files of a directory on localhost ("/" is index.html). HTML pages
+ * get a script that reloads them when reload() is called. Returns
+ * { server, reload }; the server emits 'error' when it cannot listen.
+ */
+function startDevServer({ dir, port }) {
+    const root = path.resolve(dir);
+    const clients = new Set();
+
+    const server = http.createServer((request, response) => {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (err) {
+            sendText(response, 400, 'Bad request');
+            return;
+        }
+
+        if (urlPath === RELOAD_PATH) {
+            response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' });
+            response.write('retry: 1000\n\n');
+            clients.add(response);
+            request.on('close', () => clients.delete(response));
+            return;
+        }
+
+        // Only files inside the directory are served
+        const filePath = path.join(root, urlPath === '/' ? 'index.html' : urlPath);
+        if (path.relative(root, filePath).startsWith('..') || !fs.existsSync(filePath) ||
+            !fs.statSync(filePath).isFile()) {
+            sendText(response, 404, 'Not found: ' + urlPath);
+            return;
+        }
+
+        let content = fs.readFileSync(filePath);
+        if (path.extname(filePath) === '.html') {
+            content = content.toString('utf8').replace(/<\/body>|$/, (end) => RELOAD_SCRIPT + end);
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-store',
+        });
+        response.end(content);
+    });
+    server.listen(port, 'localhost');
+
+    return {
+        server,
+        reload() {
+            clients.forEach((client) => client.write('data: reload\n\n'));
+        },
+    };
+}
+
+/**
+ * Call onChange after any of the files changes. The files are polled, so an
+ * editor that replaces a file on save is noticed too; changes close together
+ * are handled once. Returns a function that stops watching.
+ */
+function watchFiles(files, onChange) {
+    let timer = null;
+    const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        clearTimeout(timer);
+        timer = setTimeout(onChange, REBUILD_DELAY);
+    };
+    files.forEach((file) => fs.watchFile(file, { interval: WATCH_INTERVAL }, listener));
+    return () => {
+        clearTimeout(timer);
+        files.forEach((file) => fs.unwatchFile(file, listener));
+    };
+}
+
+module.exports = { startDevServer, watchFiles };
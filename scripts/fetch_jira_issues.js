@@ -0,0 +1,120 @@
+const fs = require('fs');
+const { loadJiraIssues } = require('./jira');
+const { loadPolicy } = require('./merge_policy');
+const { extractIssues, jiraKeys } = require('./issue_trackers');
+
+// Jira server - can be overridden to point at another instance or a local mock server
+const JIRA_URL = (process.env.JIRA_URL || 'https://issues.redhat.com').replace(/\/$/, '');
+
+// Issue fields fetched for each key
+const JIRA_FIELDS = 'summary,status,priority,fixVersions,assignee';
+
+// Hours a fetched issue is reused before it is fetched again
+const DEFAULT_CACHE_HOURS = 4;
+
+// Fetch one issue, returning null when it does not exist (or the token cannot see it)
+async function fetchIssue(key, token) {
+    const response = await fetch(JIRA_URL + '/rest/api/2/issue/' + encodeURIComponent(key) + '?fields=' + JIRA_FIELDS, {
+        headers: {
+            ...(token ? { 'Authorization': 'Bearer ' + token } : {}),
+            'Accept': 'application/json',
+            'User-Agent': 'ocmui-pr-review-report',
+        },
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        const body = await response.text();
+        throw new Error('Jira request for ' + key + ' failed with HTTP ' + response.status + ': ' + body);
+    }
+    return response.json();
+}
+
+// Keep the fields the report uses
+function toIssueSummary(key, issue, fetchedAt) {
+    if (!issue) return { key, notFound: true, fetchedAt };
+    const fields = issue.fields || {};
+    return {
+        key,
+        summary: fields.summary || '',
+        status: fields.status ? fields.status.name : 'Unknown',
+        // 'new', 'indeterminate' (in progress) or 'done'
+        statusCategory: fields.status && fields.status.statusCategory ? fields.status.statusCategory.key : null,
+        priority: fields.priority ? fields.priority.name : null,
+        fixVersions: (fields.fixVersions || []).map((version) => version.name),
+        assignee: fields.assignee ? fields.assignee.displayName || fields.assignee.name : null,
+        fetchedAt,
+    };
+}
+
+/**
+ * Fetch the Jira issues for the given keys, reusing entries of `cache` (an
+ * earlier result) fetched less than cacheHours ago. Returns the issues keyed
+ * by issue key; a key whose fetch fails keeps its cached entry, if any.
+ * Throws when every fetch failed and nothing was cached.
+ */
+async function fetchJiraIssues({ keys, token, cache = {}, cacheHours = DEFAULT_CACHE_HOURS, now = new Date() }) {
+    const issues = {};
+    let fetched = 0;
+    let failed = 0;
+
+    for (const key of keys) {
+        const cached = cache[key];
+        if (cached && now - new Date(cached.fetchedAt) < cacheHours * 60 * 60 * 1000) {
+            issues[key] = cached;
+            continue;
+        }
+
+        try {
+            issues[key] = toIssueSummary(key, await fetchIssue(key, token), now.toISOString());
+            fetched++;
+        } catch (err) {
+            console.error(err.message);
+            failed++;
+            if (cached) issues[key] = cached;
+        }
+    }
+
+    console.log('Jira issues: ' + (keys.length - fetched - failed) + ' from cache, ' + fetched + ' fetched, ' +
+        failed + ' failed');
+    if (failed > 0 && Object.keys(issues).length === 0) {
+        throw new Error('No Jira issue could be fetched - check JIRA_URL and JIRA_TOKEN');
+    }
+    return issues;
+}
+
+module.exports = { fetchJiraIssues };
+
+if (require.main === module) {
+    const prReportPath = process.env.PR_REPORT_PATH || './pr_review_report.json';
+    const outputPath = process.env.JIRA_ISSUES_PATH || './jira_issues.json';
+    const cacheHours = process.env.JIRA_CACHE_HOURS ? Number(process.env.JIRA_CACHE_HOURS) : DEFAULT_CACHE_HOURS;
+
+    let keys;
+    let cache;
+    try {
+        const prData = JSON.parse(fs.readFileSync(prReportPath, 'utf8'));
+        // Only the keys of the policy's Jira trackers are fetched
+        const { issueTrackers } = loadPolicy(process.env.PR_POLICY_PATH);
+        keys = [...new Set(prData.data.repository.pullRequests.nodes.flatMap((pr) => jiraKeys(extractIssues({
+            title: pr.title,
+            body: pr.body,
+            branch: pr.headRefName,
+        }, issueTrackers), issueTrackers)))];
+        // The previous output doubles as the cache
+        cache = loadJiraIssues(outputPath);
+    } catch (err) {
+        console.error('Error reading pull requests, the policy or the Jira cache:', err);
+        process.exit(1);
+    }
+
+    fetchJiraIssues({ keys, token: process.env.JIRA_TOKEN, cache, cacheHours })
+        .then((issues) => {
+            fs.writeFileSync(outputPath, JSON.stringify(issues, null, 2), 'utf8');
+            console.log('Saved ' + Object.keys(issues).length + ' Jira issues to ' + outputPath);
+        })
+        .catch((err) => {
+            console.error('Error fetching Jira issues:', err);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const { fullName, parseRepositories } = require('./repositories');
+
+// GraphQL endpoint - can be overridden to point at a local mock server
+const GRAPHQL_URL = process.env.GITHUB_GRAPHQL_URL || 'https://api.github.com/graphql';
+
+// Page sizes for the pull request list and the nested connections of each PR
+const PR_PAGE_SIZE = 50;
+const NESTED_PAGE_SIZE = 100;
+
+// Teams listed for a review it was given on behalf of. This list is not paginated, so a review
+// on behalf of more teams only counts for the first ones
+const ON_BEHALF_OF_LIMIT = 10;
+
+// Node selections for each paginated connection on a pull request.
+// Add an entry here to fetch (and fully paginate) another connection.
+const PR_CONNECTIONS = {
+    reviewRequests: `
+        nodes {
+            requestedReviewer {
+                ... on User {
+                    login
+                    name
+                }
+                ... on Team {
+                    name
+                    combinedSlug
+                }
+            }
+        }`,
+    reviews: `
+        nodes {
+            state
+            submittedAt
+            commit {
+                oid
+            }
+            author {
+                login
+                ... on User {
+                    name
+                }
+            }
+            onBehalfOf(first: ${ON_BEHALF_OF_LIMIT}) {
+                nodes {
+                    combinedSlug
+                }
+            }
+        }`,
+    labels: `
+        nodes {
+            name
+            color
+        }`,
+    assignees: `
+        nodes {
+            login
+        }`,
+    files: `
+        nodes {
+            path
+        }`,
+    timelineItems: `
+        nodes {
+            ... on ReviewRequestedEvent {
+                createdAt
+                requestedReviewer {
+                    ... on User {
+                        login
+                    }
+                    ... on Team {
+                        combinedSlug
+                    }
+                }
+            }
+        }`,
+};
+
+// Extra arguments for connections that need filtering
+const PR_CONNECTION_ARGS = {
+    timelineItems: 'itemTypes: [REVIEW_REQUESTED_EVENT]',
+};
+
+// Scalar fields fetched for every pull request
+const PR_FIELDS = `
+    number
+    title
+    body
+    headRefName
+    createdAt
+    isDraft
+    headRefOid
+    mergeable
+    repository {
+        nameWithOwner
+    }
+    milestone {
+        title
+        dueOn
+    }
+    commits(last: 1) {
+        nodes {
+            commit {
+                statusCheckRollup {
+                    state
+                }
+            }
+        }
+    }
+    author {
+        login
+        ... on User {
+            name
+        }
+    }`;
+
+const PAGE_INFO = 'pageInfo { hasNextPage endCursor }';
+
+// Build the selection for a connection, e.g. reviews(first: 100, after: $cursor) { ... }
+function connectionSelection(connection, cursorVariable) {
+    const after = cursorVariable ? ', after: ' + cursorVariable : '';
+    const args = PR_CONNECTION_ARGS[connection] ? ', ' + PR_CONNECTION_ARGS[connection] : '';
+    return connection + '(first: ' + NESTED_PAGE_SIZE + after + args + ') {\n' +
+        PAGE_INFO + PR_CONNECTIONS[connection] + '\n}';
+}
+
+const PULL_REQUESTS_QUERY = `
+    query($owner: String!, $name: String!, $cursor: String) {
+        repository(owner: $owner, name: $name) {
+            pullRequests(first: ${PR_PAGE_SIZE}, after: $cursor, states: OPEN) {
+                ${PAGE_INFO}
+                nodes {
+                    ${PR_FIELDS}
+                    ${Object.keys(PR_CONNECTIONS).map((connection) => connectionSelection(connection)).join('\n')}
+                }
+            }
+        }
+    }`;
+
+// Query used to fetch the remaining pages of one connection of a single PR
+function nestedConnectionQuery(connection) {
+    return `
+    query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+        repository(owner: $owner, name: $name) {
+            pullRequest(number: $number) {
+                ${connectionSelection(connection, '$cursor')}
+            }
+        }
+    }`;
+}
+
+// Run a single GraphQL request and return its data, throwing on HTTP or GraphQL errors
+async function graphql(query, variables, token) {
+    const response = await fetch(GRAPHQL_URL, {
+        method: 'POST',
+        headers: {
+            'Authorization': 'bearer ' + token,
+            'Content-Type': 'application/json',
+            'User-Agent': 'ocmui-pr-review-report',
+        },
+        body: JSON.stringify({ query, variables }),
+    });
+
+    if (!response.ok) {
+        const body = await response.text();
+        throw new Error('GraphQL request failed with HTTP ' + response.status + ': ' + body);
+    }
+
+    const result = await response.json();
+    if (result.errors && result.errors.length > 0) {
+        throw new Error('GraphQL errors: ' + result.errors.map((error) => error.message).join('; '));
+    }
+    return result.data;
+}
+
+// Follow the cursor of one PR connection until every node has been collected
+async function fetchRemainingNodes(owner, name, pr, connection, token) {
+    const nodes = [...pr[connection].nodes];
+    let pageInfo = pr[connection].pageInfo;
+
+    while (pageInfo.hasNextPage) {
+        const data = await graphql(nestedConnectionQuery(connection), {
+            owner,
+            name,
+            number: pr.number,
+            cursor: pageInfo.endCursor,
+        }, token);
+        const page = data.repository.pullRequest[connection];
+        nodes.push(...page.nodes);
+        pageInfo = page.pageInfo;
+    }
+
+    return nodes;
+}
+
+/**
+ * Fetch every open pull request of a repository, including all of its
+ * review requests, reviews, labels, changed files and review request events.
+ * Returns data in the same shape as a single (unpaginated) GraphQL response
+ * so processData() can consume it directly.
+ */
+async function fetchPullRequests({ owner, name, token }) {
+    const pullRequests = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+        const data = await graphql(PULL_REQUESTS_QUERY, { owner, name, cursor }, token);
+        if (!data.repository) {
+            throw new Error('Repository ' + owner + '/' + name + ' not found or not accessible');
+        }
+        const page = data.repository.pullRequests;
+
+        for (const pr of page.nodes) {
+            // Flatten every nested connection to a plain { nodes: [...] } list
+            for (const connection of Object.keys(PR_CONNECTIONS)) {
+                pr[connection] = { nodes: await fetchRemainingNodes(owner, name, pr, connection, token) };
+            }
+            pullRequests.push(pr);
+        }
+
+        hasNextPage = page.pageInfo.hasNextPage;
+        cursor = page.pageInfo.endCursor;
+    }
+
+    return { data: { repository: { pullRequests: { nodes: pullRequests } } } };
+}
+
+/**
+ * Fetch the open pull requests of several repositories ([{ owner, name }])
+ * into one list, in the same shape as fetchPullRequests(). Each PR's
+ * repository.nameWithOwner tells which repository it belongs to.
+ */
+async function fetchRepositories({ repositories, token }) {
+    const pullRequests = [];
+    for (const repository of repositories) {
+        console.log('Fetching open pull requests for ' + fullName(repository) + '...');
+        const report = await fetchPullRequests({ ...repository, token });
+        pullRequests.push(...report.data.repository.pullRequests.nodes);
+    }
+    return { data: { repository: { pullRequests: { nodes: pullRequests } } } };
+}
+
+module.exports = { fetchPullRequests, fetchRepositories };
+
+if (require.main === module) {
+    const token = process.env.GITHUB_TOKEN;
+    const outputPath = process.env.PR_REPORT_PATH || './pr_review_report.json';
+
+    // REPOSITORIES ("owner/name" list) takes precedence over the single OWNER/REPO pair
+    let repositories;
+    try {
+        repositories = parseRepositories(process.env.REPOSITORIES);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    if (repositories.length === 0 && process.env.OWNER && process.env.REPO) {
+        repositories = [{ owner: process.env.OWNER, name: process.env.REPO }];
+    }
+
+    if (repositories.length === 0 || !token) {
+        console.error('REPOSITORIES (or OWNER and REPO) and GITHUB_TOKEN environment variables are required');
+        process.exit(1);
+    }
+
+    fetchRepositories({ repositories, token })
+        .then((report) => {
+            fs.writeFileSync(outputPath, JSON.stringify(report, null, 2), 'utf8');
+            console.log('Saved ' + report.data.repository.pullRequests.nodes.length +
+                ' pull requests to ' + outputPath);
+        })
+        .catch((err) => {
+            console.error('Error fetching pull requests:', err);
+            process.exit(1);
+        });
+}
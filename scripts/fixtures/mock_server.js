@@ -0,0 +1,46 @@
+const http = require('http');
+
+/**
+ * Start a local HTTP server standing in for an API (GitHub GraphQL, Jira,
+ * a chat webhook) in the tests. respond(request) gets each request as
+ * { method, url, headers, body } and returns { status, body } - an object
+ * body is sent as JSON. Resolves to { url, requests, close() }, where
+ * requests lists every request received.
+ */
+function startMockServer(respond) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', (chunk) => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            const received = { method: request.method, url: request.url, headers: request.headers, body };
+            requests.push(received);
+            const reply = respond(received);
+            const isText = typeof reply.body === 'string';
+            response.writeHead(reply.status || 200, {
+                'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+            });
+            response.end(isText ? reply.body : JSON.stringify(reply.body));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, 'localhost', () => {
+            resolve({
+                url: 'http://localhost:' + server.address().port,
+                requests,
+                // fetch keeps connections open, so they are closed for the server to stop
+                close: () => new Promise((done) => {
+                    server.close(done);
+                    server.closeAllConnections();
+                }),
+            });
+        });
+    });
+}
+
+module.exports = { startMockServer };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+
+// Number of most recent snapshots embedded in the page for the Trends view
+const TREND_SNAPSHOT_LIMIT = 180;
+
+// Days of snapshots kept in the history store
+const DEFAULT_RETENTION_DAYS = 365;
+
+// Median of a list of numbers (null for an empty list)
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Read the history store - a JSON-lines file with one snapshot per report run.
+ * A missing file is an empty history; unparseable lines are skipped.
+ */
+function loadHistory(historyPath) {
+    if (!historyPath || !fs.existsSync(historyPath)) return [];
+
+    const snapshots = [];
+    fs.readFileSync(historyPath, 'utf8').split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            snapshots.push(JSON.parse(line));
+        } catch (err) {
+            console.warn('Skipping unparseable history line ' + (index + 1) + ': ' + err.message);
+        }
+    });
+    return snapshots;
+}
+
+/**
+ * Build a compact snapshot of one report run.
+ *
+ * prs is a list of { id, author, reviewedBy, status, approvals, daysOpen,
+ * daysToApproval } (id is the PR's "owner/name#number", reviewedBy the logins
+ * that have reviewed it) and pendingByReviewer maps each reviewer to their
+ * pending review count. The authors and reviewers kept per PR are the review
+ * history reviewer suggestions draw on once the PR is merged or closed.
+ */
+function buildSnapshot(generatedAt, prs, pendingByReviewer) {
+    const totals = { openPRs: prs.length };
+    prs.forEach((pr) => {
+        totals[pr.status] = (totals[pr.status] || 0) + 1;
+    });
+    totals.pendingReviews = Object.values(pendingByReviewer).reduce((sum, pending) => sum + pending, 0);
+
+    // Median days to approval of the PRs open now: PRs merged since approval are gone from the report
+    const daysToApproval = prs
+        .map((pr) => pr.daysToApproval)
+        .filter((days) => typeof days === 'number');
+
+    return {
+        generatedAt: generatedAt.toISOString(),
+        totals,
+        medianDaysToApproval: median(daysToApproval),
+        reviewers: pendingByReviewer,
+        prs: prs.reduce((byId, pr) => {
+            byId[pr.id] = {
+                author: pr.author,
+                reviewedBy: pr.reviewedBy,
+                status: pr.status,
+                approvals: pr.approvals,
+                daysOpen: pr.daysOpen,
+            };
+            return byId;
+        }, {}),
+    };
+}
+
+/**
+ * Append a snapshot to the history store, dropping the snapshots taken more
+ * than retentionDays before it (and unparseable lines) so the store, which is
+ * redeployed on every run, stays bounded.
+ */
+function appendSnapshot(historyPath, snapshot, retentionDays = DEFAULT_RETENTION_DAYS) {
+    const cutoff = new Date(snapshot.generatedAt).getTime() - retentionDays * 24 * 60 * 60 * 1000;
+    const kept = loadHistory(historyPath).filter((earlier) => new Date(earlier.generatedAt).getTime() >= cutoff);
+    fs.writeFileSync(historyPath, [...kept, snapshot].map((entry) => JSON.stringify(entry) + '\n').join(''), 'utf8');
+}
+
+// Reduce snapshots to the series drawn by the Trends view
+function toTrendData(snapshots) {
+    return snapshots.slice(-TREND_SNAPSHOT_LIMIT).map((snapshot) => ({
+        t: snapshot.generatedAt,
+        openPRs: snapshot.totals.openPRs,
+        medianDaysToApproval: snapshot.medianDaysToApproval,
+        reviewers: snapshot.reviewers,
+    }));
+}
+
+module.exports = {
+    median,
+    loadHistory,
+    buildSnapshot,
+    appendSnapshot,
+    toTrendData,
+    DEFAULT_RETENTION_DAYS,
+};
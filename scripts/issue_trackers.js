@@ -0,0 +1,79 @@
+// Issue trackers used when the policy file has no "issueTrackers" section
+const DEFAULT_ISSUE_TRACKERS = [
+    { name: 'Jira', pattern: 'OCMUI-\\d+', url: 'https://issues.redhat.com/browse/{key}', jira: true },
+];
+
+/**
+ * Validate the "issueTrackers" section of the policy file, a list of
+ * { name, pattern, url, jira } entries:
+ * - pattern: regular expression (a string) matching the issue keys
+ * - url: link template; {key} is the matched key, {1}..{9} its capture groups
+ *   and {repository} the PR's "owner/name"
+ * - jira: whether the keys are Jira issues that fetch_jira_issues.js can enrich
+ *
+ * e.g. [{ "name": "GitHub", "pattern": "#(\\d+)", "url": "https://github.com/{repository}/issues/{1}" },
+ *       { "name": "Linear", "pattern": "ENG-\\d+", "url": "https://linear.app/acme/issue/{key}" }]
+ */
+function resolveIssueTrackers(trackers = DEFAULT_ISSUE_TRACKERS) {
+    if (!Array.isArray(trackers)) {
+        throw new Error('Policy issueTrackers must be a list of { name, pattern, url } entries');
+    }
+
+    const names = new Set();
+    return trackers.map((tracker) => {
+        if (typeof tracker.name !== 'string' || typeof tracker.pattern !== 'string' || typeof tracker.url !== 'string') {
+            throw new Error('Issue tracker ' + JSON.stringify(tracker) + ' needs a name, a pattern and a url');
+        }
+        if (names.has(tracker.name)) {
+            throw new Error('Issue tracker "' + tracker.name + '" is listed more than once');
+        }
+        names.add(tracker.name);
+        try {
+            new RegExp(tracker.pattern, 'g');
+        } catch (err) {
+            throw new Error('Issue tracker "' + tracker.name + '" has an invalid pattern: ' + err.message);
+        }
+        return { name: tracker.name, pattern: tracker.pattern, url: tracker.url, jira: !!tracker.jira };
+    });
+}
+
+// Fill in a tracker's link template for one match
+function issueUrl(template, match, repository) {
+    return template.replace(/\{(key|repository|[1-9])\}/g, (placeholder, name) => {
+        if (name === 'repository') return repository;
+        return encodeURIComponent(name === 'key' ? match[0] : match[Number(name)] || '');
+    });
+}
+
+/**
+ * Issue keys in a PR's title, body and branch name, in that order and
+ * without duplicates, as [{ key, tracker, url }]. repository ("owner/name")
+ * is used for {repository} in link templates.
+ */
+function extractIssues({ title, body, branch, repository = '' }, trackers) {
+    const issues = [];
+    const seen = new Set();
+    [title, body, branch].filter(Boolean).forEach((text) => {
+        trackers.forEach((tracker) => {
+            for (const match of text.matchAll(new RegExp(tracker.pattern, 'g'))) {
+                if (!match[0] || seen.has(tracker.name + ' ' + match[0])) continue;
+                seen.add(tracker.name + ' ' + match[0]);
+                issues.push({ key: match[0], tracker: tracker.name, url: issueUrl(tracker.url, match, repository) });
+            }
+        });
+    });
+    return issues;
+}
+
+// Keys of the issues that belong to Jira trackers
+function jiraKeys(issues, trackers) {
+    const jiraTrackers = trackers.filter((tracker) => tracker.jira).map((tracker) => tracker.name);
+    return issues.filter((issue) => jiraTrackers.includes(issue.tracker)).map((issue) => issue.key);
+}
+
+module.exports = {
+    DEFAULT_ISSUE_TRACKERS,
+    resolveIssueTrackers,
+    extractIssues,
+    jiraKeys,
+};
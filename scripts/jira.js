@@ -0,0 +1,45 @@
+const fs = require('fs');
+
+/**
+ * Load the Jira issues written by fetch_jira_issues.js, keyed by issue key.
+ * Returns {} when no path is given or the file does not exist yet.
+ */
+function loadJiraIssues(jiraIssuesPath) {
+    if (!jiraIssuesPath || !fs.existsSync(jiraIssuesPath)) return {};
+    return JSON.parse(fs.readFileSync(jiraIssuesPath, 'utf8'));
+}
+
+/**
+ * Problems with the Jira issues an open PR links to: an issue that is
+ * already done (Closed, Resolved, ...) or one that does not exist. Returns
+ * [{ key, reason: 'closed' | 'not_found', message }]; keys without fetched
+ * issue data are skipped.
+ */
+function getJiraMismatches(jiraIds, jiraIssues) {
+    const mismatches = [];
+    jiraIds.forEach((key) => {
+        const issue = jiraIssues[key];
+        if (!issue) return;
+        if (issue.notFound) {
+            mismatches.push({ key, reason: 'not_found', message: key + ' does not exist or is not accessible' });
+        } else if (issue.statusCategory === 'done') {
+            mismatches.push({ key, reason: 'closed', message: key + ' is already ' + issue.status });
+        }
+    });
+    return mismatches;
+}
+
+// One-line summary of an issue for tooltips (the report page runs it too, so it stays plain ES5)
+function describeJiraIssue(issue) {
+    if (issue.notFound) return issue.key + ': not found';
+    return issue.key + ': ' + issue.status +
+        ', priority ' + (issue.priority || 'none') +
+        ', fix version ' + (issue.fixVersions.length > 0 ? issue.fixVersions.join(', ') : 'none') +
+        ', assignee ' + (issue.assignee || 'unassigned');
+}
+
+module.exports = {
+    loadJiraIssues,
+    getJiraMismatches,
+    describeJiraIssue,
+};
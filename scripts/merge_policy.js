@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { resolveAgingConfig } = require('./aging');
+const { resolveSuggestionsConfig } = require('./reviewer_suggestions');
+const { DEFAULT_ISSUE_TRACKERS, resolveIssueTrackers } = require('./issue_trackers');
+
+// Policy used when no policy file is given - matches the repo's branch protection
+const DEFAULT_POLICY = {
+    // Number of approvals required to merge a PR
+    requiredApprovals: 3,
+    // Users or teams ("org/team-slug") that must all approve
+    requiredReviewers: [],
+    // CODEOWNERS-style rules: [{ pattern: "/src/components/", owners: ["login", "org/team"] }]
+    codeOwners: [],
+    // Optional CODEOWNERS file, resolved relative to the policy file
+    codeOwnersFile: null,
+    // Whether a standing change request blocks merge even when approvals are met
+    blockOnChangesRequested: false,
+    // Whether approvals given before the latest push stop counting (as branch protection does)
+    dismissStaleApprovals: true,
+    // Labels that keep a PR from being ready to merge, e.g. ["do-not-merge", "hold"] (case-insensitive)
+    blockingLabels: [],
+    // Per-label overrides of any of the settings above: { "hotfix": { "requiredApprovals": 1 } }
+    labelOverrides: {},
+    // How PR age is counted and coloured: { basis, timezone, holidays, thresholds } (see aging.js)
+    aging: {},
+    // Reviewer suggestions for PRs with fewer reviewers than required approvals: { optOut, historyWeight }
+    // (see reviewer_suggestions.js)
+    suggestions: {},
+    // Issue keys linked from PR titles, bodies and branch names: [{ name, pattern, url, jira }]
+    // (see issue_trackers.js)
+    issueTrackers: DEFAULT_ISSUE_TRACKERS,
+};
+
+// Settings a label override can change - the ones evaluated per PR
+const OVERRIDABLE_SETTINGS = ['requiredApprovals', 'requiredReviewers', 'codeOwners', 'blockOnChangesRequested',
+    'dismissStaleApprovals', 'blockingLabels'];
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+// Checks of the settings' values, by setting
+const SETTING_CHECKS = {
+    requiredApprovals: [(value) => Number.isInteger(value) && value >= 0, 'a whole number of approvals (0 or more)'],
+    requiredReviewers: [isStringList, 'a list of logins or teams'],
+    codeOwners: [(value) => Array.isArray(value) && value.every((rule) => rule && typeof rule.pattern === 'string' &&
+        isStringList(rule.owners)), 'a list of { pattern, owners } rules'],
+    codeOwnersFile: [(value) => value === null || typeof value === 'string', 'a file path'],
+    blockOnChangesRequested: [(value) => typeof value === 'boolean', 'true or false'],
+    dismissStaleApprovals: [(value) => typeof value === 'boolean', 'true or false'],
+    blockingLabels: [isStringList, 'a list of label names'],
+    labelOverrides: [(value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+        'an object of label -> settings'],
+};
+
+/**
+ * Check the settings of a policy file, or of one of its label overrides
+ * (which may only change OVERRIDABLE_SETTINGS). `where` names them in errors.
+ */
+function validateSettings(settings, where, allowed) {
+    Object.entries(settings).forEach(([key, value]) => {
+        if (!allowed.includes(key)) {
+            throw new Error(where + ': unknown setting "' + key + '" (expected one of ' + allowed.join(', ') + ')');
+        }
+        const check = SETTING_CHECKS[key];
+        if (check && !check[0](value)) {
+            // JSON.stringify would show Infinity as null
+            const got = typeof value === 'number' ? String(value) : JSON.stringify(value);
+            throw new Error(where + ': ' + key + ' must be ' + check[1] + ', got ' + got);
+        }
+    });
+}
+
+// Strip the "@" prefix used by CODEOWNERS files
+function normalizeOwner(owner) {
+    return owner.replace(/^@/, '');
+}
+
+// Parse a CODEOWNERS file into [{ pattern, owners }] rules
+function parseCodeOwners(content) {
+    return content.split('\n')
+        .map((line) => line.replace(/#.*$/, '').trim())
+        .filter(Boolean)
+        .map((line) => {
+            const [pattern, ...owners] = line.split(/\s+/);
+            return { pattern, owners: owners.map(normalizeOwner) };
+        });
+}
+
+// Read a JSON policy file, or a YAML one converted to JSON with mikefarah's yq v4 (installed by action.yml)
+function readPolicyFile(policyPath) {
+    if (/\.ya?ml$/i.test(policyPath)) {
+        try {
+            return JSON.parse(execFileSync('yq', ['-o=json', '.', policyPath], { encoding: 'utf8' }));
+        } catch (err) {
+            throw new Error('Unable to read YAML policy file ' + policyPath +
+                ' (YAML policies are converted with yq v4 - https://github.com/mikefarah/yq): ' + err.message);
+        }
+    }
+    return JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+}
+
+/**
+ * Load the merge policy from a JSON/YAML file, filling in defaults for any
+ * missing settings. Returns the default policy when no path is given.
+ */
+function loadPolicy(policyPath) {
+    const settings = policyPath ? readPolicyFile(policyPath) : {};
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('Policy file ' + policyPath + ' must hold an object of settings');
+    }
+    validateSettings(settings, 'Policy', Object.keys(DEFAULT_POLICY));
+    Object.entries(settings.labelOverrides || {}).forEach(([label, override]) => {
+        if (override === null || typeof override !== 'object' || Array.isArray(override)) {
+            throw new Error('Policy labelOverrides "' + label + '" must be an object of settings');
+        }
+        validateSettings(override, 'Policy labelOverrides "' + label + '"', OVERRIDABLE_SETTINGS);
+    });
+
+    const policy = { ...DEFAULT_POLICY, ...settings };
+    policy.aging = resolveAgingConfig(policy.aging);
+    policy.suggestions = resolveSuggestionsConfig(policy.suggestions);
+    policy.issueTrackers = resolveIssueTrackers(policy.issueTrackers);
+
+    if (policy.codeOwnersFile) {
+        const codeOwnersPath = path.resolve(path.dirname(policyPath), policy.codeOwnersFile);
+        policy.codeOwners = [
+            ...parseCodeOwners(fs.readFileSync(codeOwnersPath, 'utf8')),
+            ...policy.codeOwners,
+        ];
+    }
+
+    return policy;
+}
+
+// Apply the label overrides for the labels on a PR (in policy file order, case-insensitive like blockingLabels)
+function resolvePolicy(policy, labels) {
+    const labelNames = labels.map((label) => label.toLowerCase());
+    let resolved = policy;
+    Object.entries(policy.labelOverrides || {}).forEach(([label, override]) => {
+        if (labelNames.includes(label.toLowerCase())) {
+            resolved = { ...resolved, ...override };
+        }
+    });
+    return resolved;
+}
+
+// Convert a CODEOWNERS pattern to a regular expression matching file paths
+function patternToRegExp(pattern) {
+    // Patterns with a leading or inner slash are relative to the repository root
+    const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+    const body = pattern.replace(/^\//, '').replace(/\/$/, '')
+        .split(/(\*\*\/|\*\*|\*|\?)/)
+        .map((token) => {
+            if (token === '**/') return '(?:.*/)?';
+            if (token === '**') return '.*';
+            if (token === '*') return '[^/]*';
+            if (token === '?') return '[^/]';
+            return token.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp('^' + (anchored ? '' : '(?:.*/)?') + body + '(?:/.*)?$');
+}
+
+// Owners required for the changed files - the last matching rule wins, as in CODEOWNERS
+function requiredOwnerGroups(codeOwners, files) {
+    const rules = codeOwners.map((rule) => ({ regex: patternToRegExp(rule.pattern), owners: rule.owners }));
+    const groups = {};
+    files.forEach((file) => {
+        let match = null;
+        rules.forEach((rule) => {
+            if (rule.regex.test(file)) match = rule;
+        });
+        if (match && match.owners.length > 0) {
+            groups[match.owners.join(' ')] = match.owners.map(normalizeOwner);
+        }
+    });
+    return Object.values(groups);
+}
+
+/**
+ * Evaluate a PR against the (already label-resolved) policy.
+ *
+ * reviewerStatus maps reviewer login -> latest review state, approvingTeams
+ * lists the teams an approval was given on behalf of, files lists the paths
+ * changed by the PR and labels its label names. A PR that would be ready to
+ * merge but carries one of the policy's blockingLabels is 'blocked'.
+ */
+function evaluatePolicy(policy, { reviewerStatus, approvingTeams = [], files = [], labels = [] }) {
+    const approvedBy = Object.entries(reviewerStatus)
+        .filter(([_, state]) => state === 'APPROVED')
+        .map(([reviewer, _]) => reviewer);
+
+    // A user or team requirement is met by the user approving or a team approval
+    const hasApproved = (owner) => {
+        const normalized = normalizeOwner(owner);
+        return approvedBy.includes(normalized) ||
+            approvingTeams.some((team) => team === normalized || team.split('/').pop() === normalized);
+    };
+
+    const missingReviewers = (policy.requiredReviewers || []).filter((reviewer) => !hasApproved(reviewer));
+    const missingOwners = requiredOwnerGroups(policy.codeOwners || [], files)
+        .filter((owners) => !owners.some(hasApproved))
+        .map((owners) => owners.join(' or '));
+
+    const blockingLabels = (policy.blockingLabels || []).map((label) => label.toLowerCase());
+    const blockedBy = labels.filter((label) => blockingLabels.includes(label.toLowerCase()));
+
+    const hasChangesRequested = Object.values(reviewerStatus).includes('CHANGES_REQUESTED');
+    const isApproved = approvedBy.length >= policy.requiredApprovals &&
+        missingReviewers.length === 0 &&
+        missingOwners.length === 0;
+
+    let status = 'needs_review';
+    if (isApproved && !(policy.blockOnChangesRequested && hasChangesRequested)) {
+        status = blockedBy.length > 0 ? 'blocked' : 'ready_to_merge';
+    } else if (hasChangesRequested) {
+        status = 'changes_requested';
+    }
+
+    return {
+        status,
+        approvedBy,
+        approvalCount: approvedBy.length,
+        requiredApprovals: policy.requiredApprovals,
+        missingReviewers,
+        missingOwners,
+        blockedBy,
+    };
+}
+
+// Human readable description of the policy for the report legend
+function describePolicy(policy) {
+    const rules = [policy.requiredApprovals + ' approval' + (policy.requiredApprovals === 1 ? '' : 's')];
+    if (policy.requiredReviewers.length > 0) {
+        rules.push('approval from ' + policy.requiredReviewers.join(', '));
+    }
+    if (policy.codeOwners.length > 0) {
+        rules.push('approval from the code owners of every changed path');
+    }
+    if (policy.blockOnChangesRequested) {
+        rules.push('no outstanding change requests');
+    }
+    if (policy.dismissStaleApprovals) {
+        rules.push('approvals given before the latest push do not count');
+    }
+    if (policy.blockingLabels.length > 0) {
+        rules.push('none of the labels ' + policy.blockingLabels.join(', '));
+    }
+
+    let description = rules.join(', ');
+    const overrides = Object.entries(policy.labelOverrides || {}).map(([label, override]) =>
+        '"' + label + '": ' + Object.entries(override).map(([key, value]) => key + ' = ' + value).join(', '));
+    if (overrides.length > 0) {
+        description += '; label overrides: ' + overrides.join('; ');
+    }
+    return description;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    loadPolicy,
+    resolvePolicy,
+    evaluatePolicy,
+    describePolicy,
+};
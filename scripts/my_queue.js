@@ -0,0 +1,52 @@
+// Why a PR is in someone's queue, in the order the queue lists them
+const QUEUE_REASONS = ['review', 'needs_action', 'ready_to_merge'];
+
+// Statuses of an authored PR that only its author can resolve
+const AUTHOR_ACTION_STATUSES = ['changes_requested', 'conflicts', 'checks_failing'];
+
+/**
+ * Build each person's queue from the report model: PRs waiting on their
+ * review, their own PRs that need action (changes requested, conflicts,
+ * failing checks) and their own PRs that are ready to merge.
+ *
+ * Returns { login: [{ reason, pr }] } keyed by lowercase login (GitHub logins
+ * are case-insensitive), sorted by reason and then oldest PR first. `pr` is
+ * the reviewer or author detail item from processData().
+ */
+function buildQueues(model) {
+    const { reviewers, teamReviewers, authors } = model;
+    const queues = {};
+
+    function add(login, reason, pr) {
+        const key = login.toLowerCase();
+        if (!queues[key]) queues[key] = [];
+        queues[key].push({ reason, pr });
+    }
+
+    // Team review requests are queued for the team's members when team members are configured
+    Object.entries(reviewers).forEach(([login, data]) => {
+        if (teamReviewers[login]) return;
+        data.prDetails.filter((pr) => pr.isPending).forEach((pr) => add(login, 'review', pr));
+    });
+
+    Object.entries(authors).forEach(([login, data]) => {
+        data.prDetails.forEach((pr) => {
+            const authored = { ...pr, author: login };
+            if (AUTHOR_ACTION_STATUSES.includes(pr.status)) {
+                add(login, 'needs_action', authored);
+            } else if (pr.status === 'ready_to_merge') {
+                add(login, 'ready_to_merge', authored);
+            }
+        });
+    });
+
+    Object.values(queues).forEach((queue) => {
+        queue.sort((a, b) =>
+            QUEUE_REASONS.indexOf(a.reason) - QUEUE_REASONS.indexOf(b.reason) || b.pr.daysOpen - a.pr.daysOpen);
+    });
+    return queues;
+}
+
+module.exports = {
+    buildQueues,
+};
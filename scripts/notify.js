@@ -0,0 +1,108 @@
+const fs = require('fs');
+const { buildDigest, slackPayload, teamsPayload } = require('./renderers/chat');
+
+const PAYLOAD_FORMATS = {
+    slack: slackPayload,
+    teams: teamsPayload,
+    generic: (digest) => digest,
+};
+
+/**
+ * Webhook payload for the digest in the given format: 'slack', 'teams' or
+ * 'generic' (the digest itself as JSON).
+ */
+function formatPayload(digest, format) {
+    if (!PAYLOAD_FORMATS[format]) {
+        throw new Error('Unknown notification format "' + format + '" (available: ' +
+            Object.keys(PAYLOAD_FORMATS).join(', ') + ')');
+    }
+    return PAYLOAD_FORMATS[format](digest);
+}
+
+/**
+ * Whether `now` falls inside quiet hours given as "HH-HH" or "HH:MM-HH:MM"
+ * in the timezone, e.g. "20-08" for 8pm to 8am. The range may wrap midnight.
+ */
+function inQuietHours(now, quietHours, timezone) {
+    if (!quietHours) return false;
+
+    const match = quietHours.match(/^(\d{1,2})(?::(\d{2}))?-(\d{1,2})(?::(\d{2}))?$/);
+    if (!match) {
+        throw new Error('Quiet hours must be "HH-HH" or "HH:MM-HH:MM", got "' + quietHours + '"');
+    }
+    const start = Number(match[1]) * 60 + Number(match[2] || 0);
+    const end = Number(match[3]) * 60 + Number(match[4] || 0);
+
+    const [hour, minute] = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).format(now).split(':').map(Number);
+    const current = hour * 60 + minute;
+
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+// POST the payload to the webhook, throwing when it is not accepted
+async function sendPayload(webhookUrl, payload) {
+    const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+        const text = await response.text();
+        throw new Error('Webhook returned HTTP ' + response.status + ': ' + text);
+    }
+}
+
+module.exports = {
+    buildDigest,
+    formatPayload,
+    inQuietHours,
+    sendPayload,
+};
+
+if (require.main === module) {
+    const { loadReportModel } = require('./process_pr_reviews');
+
+    const webhookUrl = process.env.NOTIFY_WEBHOOK_URL;
+    const format = process.env.NOTIFY_FORMAT || 'slack';
+    const dryRun = process.env.NOTIFY_DRY_RUN === 'true';
+
+    if (!webhookUrl && !dryRun) {
+        console.error('NOTIFY_WEBHOOK_URL environment variable is required (or set NOTIFY_DRY_RUN=true)');
+        process.exit(1);
+    }
+
+    let payload;
+    try {
+        const prData = JSON.parse(fs.readFileSync(process.env.PR_REPORT_PATH || './pr_review_report.json', 'utf8'));
+        const model = loadReportModel(prData);
+
+        // Quiet hours are read in the timezone of the policy's aging settings
+        if (inQuietHours(model.generatedAt, process.env.NOTIFY_QUIET_HOURS, model.policy.aging.timezone)) {
+            console.log('Inside quiet hours (' + process.env.NOTIFY_QUIET_HOURS + ' ' +
+                model.policy.aging.timezone + '), not sending the digest');
+            process.exit(0);
+        }
+        payload = formatPayload(buildDigest(model), format);
+    } catch (err) {
+        console.error('Error building the digest:', err);
+        process.exit(1);
+    }
+
+    if (dryRun) {
+        console.log(JSON.stringify(payload, null, 2));
+    } else {
+        sendPayload(webhookUrl, payload)
+            .then(() => {
+                console.log('Sent the ' + format + ' review digest');
+            })
+            .catch((err) => {
+                console.error('Error sending the review digest:', err);
+                process.exit(1);
+            });
+    }
+}
@@ -0,0 +1,90 @@
+const fs = require('fs');
+
+// REST endpoint - can be overridden to point at a local mock server
+const API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+// Hidden marker that identifies the summary comment so later runs update it in place
+const SUMMARY_MARKER = '<!-- pr-review-report-summary -->';
+
+// Run a single REST request and return the parsed response, throwing on HTTP errors
+async function request(method, path, token, body) {
+    const response = await fetch(API_URL + path, {
+        method,
+        headers: {
+            'Authorization': 'bearer ' + token,
+            'Accept': 'application/vnd.github+json',
+            'Content-Type': 'application/json',
+            'User-Agent': 'ocmui-pr-review-report',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+        const text = await response.text();
+        throw new Error(method + ' ' + path + ' failed with HTTP ' + response.status + ': ' + text);
+    }
+    return response.json();
+}
+
+/**
+ * Parse the issue the summary is posted to: "owner/name#123", or "123" for an
+ * issue in defaultRepository ("owner/name").
+ */
+function parseIssue(issue, defaultRepository) {
+    const match = String(issue).trim().match(/^(?:([\w.-]+\/[\w.-]+)#)?(\d+)$/);
+    if (!match || !(match[1] || defaultRepository)) {
+        throw new Error('Summary issue must be "owner/name#number" or an issue number, got "' + issue + '"');
+    }
+    return { repository: match[1] || defaultRepository, number: Number(match[2]) };
+}
+
+/**
+ * Post the summary as a comment on the issue, or update the comment an
+ * earlier run posted. Returns the comment's URL.
+ */
+async function upsertSummaryComment({ repository, number, summary, token }) {
+    const body = SUMMARY_MARKER + '\n' + summary;
+    const commentsPath = '/repos/' + repository + '/issues/' + number + '/comments';
+
+    for (let page = 1; ; page++) {
+        const comments = await request('GET', commentsPath + '?per_page=100&page=' + page, token);
+        const existing = comments.find((comment) => comment.body && comment.body.startsWith(SUMMARY_MARKER));
+        if (existing) {
+            const updated = await request('PATCH', '/repos/' + repository + '/issues/comments/' + existing.id,
+                token, { body });
+            return updated.html_url;
+        }
+        if (comments.length < 100) break;
+    }
+
+    const created = await request('POST', commentsPath, token, { body });
+    return created.html_url;
+}
+
+module.exports = { parseIssue, upsertSummaryComment };
+
+if (require.main === module) {
+    const token = process.env.GITHUB_TOKEN;
+    const summaryPath = process.env.SUMMARY_PATH || './webpage/summary.md';
+
+    let issue;
+    try {
+        issue = parseIssue(process.env.SUMMARY_ISSUE || '', process.env.GITHUB_REPOSITORY);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    if (!token) {
+        console.error('GITHUB_TOKEN environment variable is required');
+        process.exit(1);
+    }
+
+    upsertSummaryComment({ ...issue, summary: fs.readFileSync(summaryPath, 'utf8'), token })
+        .then((url) => {
+            console.log('Posted summary comment: ' + url);
+        })
+        .catch((err) => {
+            console.error('Error posting summary comment:', err);
+            process.exit(1);
+        });
+}
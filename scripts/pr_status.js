@@ -0,0 +1,40 @@
+// Label of every PR status in the report model (see docs/report-schema.json), shared by the renderers
+const STATUS_LABELS = {
+    needs_review: 'Needs Review',
+    changes_requested: 'Changes Requested',
+    ready_to_merge: 'Ready to Merge',
+    blocked: 'Blocked by label',
+    conflicts: 'Conflicts',
+    checks_failing: 'Checks failing',
+    checks_pending: 'Checks pending',
+};
+
+const PR_STATUSES = Object.keys(STATUS_LABELS);
+
+// Statuses that take a PR meeting the merge policy off the ready to merge list - one only waiting
+// on its checks stays listed, with its checks status
+const NOT_READY_STATUSES = ['conflicts', 'checks_failing'];
+
+// Label of a PR status; an unknown status reads as needing review
+function getStatusLabel(status) {
+    return STATUS_LABELS[status] || STATUS_LABELS.needs_review;
+}
+
+// Whether a PR record ({ meetsMergePolicy, status }) is listed as ready to merge
+function isReadyToMerge(pr) {
+    return pr.meetsMergePolicy && !NOT_READY_STATUSES.includes(pr.status);
+}
+
+// Label of a PR's check status (checkStatus in the model, null when unknown) for the Checks column
+function getChecksLabel(checkStatus) {
+    if (checkStatus === 'checks_passing') return 'Passing';
+    if (!checkStatus) return 'Unknown';
+    return getStatusLabel(checkStatus);
+}
+
+module.exports = {
+    PR_STATUSES,
+    getStatusLabel,
+    isReadyToMerge,
+    getChecksLabel,
+};
@@ -0,0 +1,167 @@
+const { fullName } = require('../repositories');
+const { escapeMarkdown } = require('./markdown');
+
+// Longest list in one digest section, and the most PR links listed per reviewer
+const MAX_ITEMS = 10;
+const MAX_REVIEWER_PRS = 5;
+
+// Slack rejects section blocks with more than 3000 characters of text
+const SLACK_SECTION_LIMIT = 3000;
+
+// PR titles are shortened to keep the digest readable
+const MAX_TITLE_LENGTH = 80;
+
+function shortTitle(title) {
+    return title.length > MAX_TITLE_LENGTH ? title.slice(0, MAX_TITLE_LENGTH - 3) + '...' : title;
+}
+
+function displayName(login, names) {
+    return names[login] ? names[login] + ' (' + login + ')' : login;
+}
+
+function prSummary(pr) {
+    return { id: pr.id, title: shortTitle(pr.title), url: pr.url, daysOpen: pr.daysOpen };
+}
+
+/**
+ * Build the digest from the report model (processData()): reviewers with
+ * pending reviews and links to those PRs, PRs past the red aging threshold
+ * and PRs ready to merge.
+ */
+function buildDigest(model) {
+    const { repositories, generatedAt, policy, prs, reviewers, reviewerNames, teamReviewers, authorNames,
+        readyToMergePRs } = model;
+
+    return {
+        title: 'PR review digest: ' + repositories.map(fullName).join(', '),
+        generatedAt: generatedAt.toISOString(),
+        agingBasis: policy.aging.basis,
+        redThreshold: policy.aging.thresholds.red,
+        pendingReviews: Object.entries(reviewers)
+            .filter(([_, data]) => data.pending > 0)
+            .sort(([_a, a], [_b, b]) => b.pending - a.pending)
+            .map(([login, data]) => ({
+                login,
+                name: displayName(login, reviewerNames),
+                isTeam: !!teamReviewers[login],
+                pending: data.pending,
+                prs: data.prDetails.filter((pr) => pr.isPending).map(prSummary),
+            })),
+        overdue: prs
+            .filter((pr) => pr.daysOpen > policy.aging.thresholds.red)
+            .sort((a, b) => b.daysOpen - a.daysOpen)
+            .map((pr) => ({ ...prSummary(pr), author: displayName(pr.author, authorNames), status: pr.status })),
+        readyToMerge: [...readyToMergePRs]
+            .sort((a, b) => b.daysOpen - a.daysOpen)
+            .map((pr) => ({
+                ...prSummary(pr),
+                author: displayName(pr.author, authorNames),
+                approvals: pr.approvals + '/' + pr.requiredApprovals,
+            })),
+    };
+}
+
+// First MAX_ITEMS lines, plus a note of how many were left out
+function limitLines(lines) {
+    if (lines.length <= MAX_ITEMS) return lines;
+    return lines.slice(0, MAX_ITEMS).concat('...and ' + (lines.length - MAX_ITEMS) + ' more');
+}
+
+// Digest sections as { heading, lines }, with links formatted by link(title, url) and text by escape()
+function digestSections(digest, link, escape) {
+    return [
+        {
+            heading: 'Pending reviews',
+            lines: limitLines(digest.pendingReviews.map((reviewer) =>
+                escape(reviewer.name) + (reviewer.isTeam ? ' (team)' : '') + ': ' + reviewer.pending + ' - ' +
+                reviewer.prs.slice(0, MAX_REVIEWER_PRS).map((pr) => link(pr.title, pr.url)).join(', ') +
+                (reviewer.prs.length > MAX_REVIEWER_PRS ? ', ...' : ''))),
+            empty: 'No reviews are pending.',
+        },
+        {
+            heading: 'Open more than ' + digest.redThreshold + ' ' + digest.agingBasis + ' days',
+            lines: limitLines(digest.overdue.map((pr) =>
+                link(pr.title, pr.url) + ' by ' + escape(pr.author) + ' - ' + pr.daysOpen + ' days')),
+            empty: 'No pull requests are past the red aging threshold.',
+        },
+        {
+            heading: 'Ready to merge',
+            lines: limitLines(digest.readyToMerge.map((pr) =>
+                link(pr.title, pr.url) + ' by ' + escape(pr.author) + ' (' + pr.approvals + ' approvals)')),
+            empty: 'No pull requests are currently ready to merge.',
+        },
+    ];
+}
+
+function summaryText(digest) {
+    return digest.pendingReviews.reduce((sum, reviewer) => sum + reviewer.pending, 0) + ' pending reviews, ' +
+        digest.overdue.length + ' overdue PRs, ' + digest.readyToMerge.length + ' ready to merge';
+}
+
+// Escape text for Slack mrkdwn
+function slackEscape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Drop trailing lines until the text fits in a Slack section block
+function fitSlackSection(heading, lines) {
+    const kept = [...lines];
+    let text = '*' + heading + '*\n' + kept.map((line) => '• ' + line).join('\n');
+    while (text.length > SLACK_SECTION_LIMIT && kept.length > 1) {
+        kept.pop();
+        text = '*' + heading + '*\n' + kept.map((line) => '• ' + line).join('\n') + '\n• ...';
+    }
+    return text;
+}
+
+function slackPayload(digest) {
+    const sections = digestSections(digest, (title, url) => '<' + url + '|' + slackEscape(title) + '>', slackEscape);
+    return {
+        text: digest.title + ' - ' + summaryText(digest),
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: digest.title.slice(0, 150) } },
+            ...sections.map((section) => ({
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: section.lines.length > 0 ?
+                        fitSlackSection(section.heading, section.lines) :
+                        '*' + section.heading + '*\n' + section.empty,
+                },
+            })),
+        ],
+    };
+}
+
+// Legacy actionable message card, accepted by Teams incoming webhooks
+function teamsPayload(digest) {
+    const sections = digestSections(digest, (title, url) => '[' + escapeMarkdown(title) + '](' + url + ')',
+        escapeMarkdown);
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: summaryText(digest),
+        title: digest.title,
+        sections: sections.map((section) => ({
+            activityTitle: section.heading,
+            text: section.lines.length > 0 ? section.lines.map((line) => '- ' + line).join('\n') : section.empty,
+        })),
+    };
+}
+
+// Renderers writing the digest as the webhook payload notify.js posts, for a look before it is sent
+function renderSlack(model) {
+    return { 'slack_digest.json': JSON.stringify(slackPayload(buildDigest(model)), null, 2) };
+}
+
+function renderTeams(model) {
+    return { 'teams_digest.json': JSON.stringify(teamsPayload(buildDigest(model)), null, 2) };
+}
+
+module.exports = {
+    buildDigest,
+    slackPayload,
+    teamsPayload,
+    renderSlack,
+    renderTeams,
+};
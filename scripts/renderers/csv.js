@@ -0,0 +1,84 @@
+const { buildReportJson } = require('./json');
+
+// Separator of the values of a list column (labels, reviewers, issue keys, ...)
+const LIST_SEPARATOR = ';';
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Format a value as a CSV field: lists are joined with LIST_SEPARATOR, text
+ * that a spreadsheet would run as a formula (titles, branches and labels are
+ * anyone's to choose) gets a leading ', and fields holding a delimiter, quote
+ * or newline are quoted (RFC 4180).
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) {
+        text = '\'' + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.map(([header]) => header).join(',')];
+    rows.forEach((row) => {
+        lines.push(columns.map(([_, getValue]) => csvField(getValue(row))).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// One row per open PR
+function prsCsv(report) {
+    return toCsv([
+        ['repository', (pr) => pr.repository],
+        ['number', (pr) => pr.number],
+        ['title', (pr) => pr.title],
+        ['url', (pr) => pr.url],
+        ['author', (pr) => pr.author],
+        ['is_draft', (pr) => pr.isDraft],
+        ['status', (pr) => pr.status],
+        ['check_status', (pr) => pr.checkStatus],
+        ['approvals', (pr) => pr.approvals],
+        ['required_approvals', (pr) => pr.requiredApprovals],
+        ['days_open', (pr) => pr.daysOpen],
+        ['business_days_open', (pr) => pr.businessDaysOpen],
+        ['calendar_days_open', (pr) => pr.calendarDaysOpen],
+        ['first_review_hours', (pr) => pr.firstReviewHours],
+        ['reviewers', (pr) => pr.reviewers.map((reviewer) => reviewer.login + ':' + reviewer.state)],
+        ['suggested_reviewers', (pr) => pr.suggestedReviewers],
+        ['labels', (pr) => pr.labels],
+        ['milestone', (pr) => pr.milestone && pr.milestone.title],
+        ['assignees', (pr) => pr.assignees],
+        ['issues', (pr) => pr.issues.map((issue) => issue.key)],
+        ['jira', (pr) => pr.jiraIds],
+        ['jira_mismatches', (pr) => pr.jiraMismatches.map((mismatch) => mismatch.key + ':' + mismatch.reason)],
+    ], report.prs);
+}
+
+// One row per reviewer (user or team)
+function reviewersCsv(report) {
+    return toCsv([
+        ['login', (reviewer) => reviewer.login],
+        ['name', (reviewer) => reviewer.name],
+        ['is_team', (reviewer) => reviewer.isTeam],
+        ['pending', (reviewer) => reviewer.pending],
+        ['prs', (reviewer) => reviewer.prs.length],
+        ['median_response_hours', (reviewer) => reviewer.medianResponseHours],
+    ], report.reviewers);
+}
+
+/**
+ * Render the report model as prs.csv and reviewers.csv.
+ */
+function renderCsv(model) {
+    const report = buildReportJson(model);
+    return { 'prs.csv': prsCsv(report), 'reviewers.csv': reviewersCsv(report) };
+}
+
+module.exports = {
+    prsCsv,
+    reviewersCsv,
+    renderCsv,
+};
@@ -0,0 +1,38 @@
+// Escaping for values that come from GitHub (titles, logins, names, labels) or the
+// policy file before they are placed in the generated page. Pick the helper for the
+// context the value ends up in. scripts/test/escaping.test.js renders the report for
+// scripts/fixtures/hostile_pr_report.json, a corpus of hostile titles and names.
+
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+};
+
+/**
+ * Escape a value for element text or a quoted attribute value.
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+
+/**
+ * Serialize a value as JSON that is safe inside an inline <script> block:
+ * "</script>", "<!--" and the JS line terminators U+2028/U+2029 are escaped.
+ */
+function scriptJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+module.exports = {
+    escapeHtml,
+    scriptJson,
+};
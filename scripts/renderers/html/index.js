@@ -0,0 +1,502 @@
+const fs = require('fs');
+const path = require('path');
+const { describePolicy } = require('../../merge_policy');
+const { describeThresholds } = require('../../aging');
+const { fullName } = require('../../repositories');
+const { escapeHtml, scriptJson } = require('./escape');
+const { describeAbsence } = require('../../availability');
+const { describeJiraIssue } = require('../../jira');
+const { PR_STATUSES, getStatusLabel } = require('../../pr_status');
+
+// Read a stylesheet or client script that is inlined into the page
+function readAsset(name) {
+    return fs.readFileSync(path.join(__dirname, name), 'utf8');
+}
+
+// Repository filter, only shown when the report covers several repositories
+function repositoryFilter(repositories) {
+    if (repositories.length < 2) return '';
+    return '        <select id="repo-filter" class="repo-filter" title="Show the PRs of one repository">\n' +
+        '            <option value="all">All repositories</option>\n' +
+        repositories.map((repository) => '            <option value="' + escapeHtml(fullName(repository)) + '">' +
+            escapeHtml(fullName(repository)) + '</option>\n').join('') +
+        '        </select>\n';
+}
+
+// Free-text search over the PR tables
+function searchBox() {
+    return '        <input type="search" id="pr-search" class="pr-search" placeholder="Search PRs" ' +
+        'title="Show the PRs whose title, number, issue key, author or reviewer contains the text">\n';
+}
+
+// PR table column header that sorts the PR tables by sortKey when clicked (see sortPrTables in report.js)
+function sortableHeader(sortKey, title, label) {
+    return '                  <th class="sortable" data-sort="' + sortKey + '" title="' + title +
+        ' - click to sort">' + label + '</th>\n';
+}
+
+// CSS class (the status name, dashed) and label for each PR status
+function getStatusDisplay(status) {
+    const known = PR_STATUSES.includes(status) ? status : 'needs_review';
+    return { statusClass: known.replace(/_/g, '-'), statusText: getStatusLabel(known) };
+}
+
+/**
+ * Render the report page, index.html. The page holds no PR data: render.js
+ * fetches report.json from next to it and builds the tables in the browser,
+ * so only the repositories and the policy shown in the legend are baked in.
+ */
+function renderHtml(model) {
+    const { repositories, policy, refresh } = model;
+    const repoName = escapeHtml(repositories.map(fullName).join(', '));
+    const multiRepo = repositories.length > 1;
+    const repositoryHeader = multiRepo ? '                  <th title="Repository">Repository</th>\n' : '';
+    // Named after the tracker when there is only one (Jira by default)
+    const issueHeader = escapeHtml(policy.issueTrackers.length === 1 ? policy.issueTrackers[0].name : 'Issues');
+
+    const statusDisplay = {};
+    PR_STATUSES.forEach((status) => {
+        statusDisplay[status] = getStatusDisplay(status);
+    });
+
+    let htmlContent = '<!DOCTYPE html>\n<html lang="en">\n<head>\n' +
+        '    <meta charset="UTF-8">\n' +
+        '    <meta name="viewport" content="width=device-width, initial-scale=1.0">\n' +
+        '    <title>' + repoName + ' Open Pull Requests</title>\n' +
+        '    <style>\n' +
+        readAsset('report.css') +
+        '    </style>\n' +
+        '    <script>\n' +
+        '        // CSS class and label of each PR status\n' +
+        '        var STATUS_DISPLAY = ' + scriptJson(statusDisplay) + ';\n' +
+        '        // Where the report data is fetched from and the minutes between checks for a newer run\n' +
+        '        var REPORT_REFRESH = ' + scriptJson(refresh) + ';\n' +
+        '    </script>\n' +
+        '    <script>\n' +
+        '        // Tooltips of out of office badges and linked Jira issues, shared with the server\n' +
+        describeAbsence.toString() + '\n' +
+        describeJiraIssue.toString() + '\n' +
+        '    </script>\n' +
+        '    <script>\n' +
+        readAsset('render.js') +
+        '    </script>\n' +
+        '    <script>\n' +
+        readAsset('report.js') +
+        '    </script>\n' +
+        '    <script>\n' +
+        readAsset('live.js') +
+        '    </script>\n' +
+        '</head>';
+
+    /** Page Title **/
+
+    htmlContent += '  \n<body>\n' +
+        '    <h2 id="top">\n' +
+        '      <span class="repo-title">' + repoName + '</span> Open Pull Requests\n' +
+        '      <span id="lastUpdated" class="last-updated"></span>\n' +
+        '    </h2>\n' +
+        '    \n' +
+        '    <!-- View selector -->\n' +
+        '    <div class="view-controls">\n' +
+        '        <div class="view-selector">\n' +
+        '            <button id="reviewers-view-btn" class="view-btn active" ' +
+        'data-view="reviewers">Reviewers\' View</button>\n' +
+        '            <button id="authors-view-btn" class="view-btn" ' +
+        'data-view="authors">Authors\' View</button>\n' +
+        '            <button id="all-view-btn" class="view-btn" ' +
+        'data-view="all">All PRs</button>\n' +
+        '            <button id="queue-view-btn" class="view-btn" ' +
+        'data-view="queue">My Queue</button>\n' +
+        '        </div>\n' +
+        '    </div>\n' +
+        '    \n' +
+        '    <div class="filter-controls">\n' +
+        '        <div>\n' +
+        '            <label><input type="radio" name="prFilter" id="show-all-prs" ' +
+        'onclick="filterByStatus(\'all\')" checked> Report</label>\n' +
+        '            <label><input type="radio" name="prFilter" id="show-chart" ' +
+        'onClick="toggleDetails()"> Chart</label>\n' +
+        '            <label><input type="radio" name="prFilter" id="show-trends" ' +
+        'onClick="showTrends()"> Trends</label>\n' +
+        '            <a href="#ready-section" class="ready-link empty-link" id="ready-to-merge-link" ' +
+        'style="display: none;"></a>\n' +
+        '            <a href="#needs-reviewers-section" class="needs-reviewers-link empty-link" ' +
+        'id="needs-reviewers-link"></a>\n' +
+        '        </div>\n' +
+        searchBox() +
+        '        <select id="label-filter" class="label-filter hidden" title="Show the PRs with one label"></select>\n' +
+        repositoryFilter(repositories) +
+        '        <span class="total-prs-badge">Total # Of Open PRs: <span id="total-prs"></span></span>\n' +
+        '        <button id="toggleLegendBtn" onClick="toggleLegend()" ' +
+        'style="margin-left: 15px; background-color: #333; color: white; border: none; ' +
+        'padding: 5px 10px; cursor: pointer; border-radius: 4px;">Show Legend</button>\n' +
+        '    </div>\n' +
+        '    <div id="report-status" class="report-status">Loading report...</div>\n' +
+        '    <div id="live-updates" class="live-updates">\n' +
+        '        <span id="changes-summary" class="changes-summary"></span>\n' +
+        '        <button id="mark-seen" class="mark-seen hidden">Mark all as seen</button>\n' +
+        '        <label id="notify-option" class="notify-option hidden"><input type="checkbox" ' +
+        'id="notify-toggle"> Browser notifications</label>\n' +
+        '    </div>\n' +
+        '    <!-- Empty row for spacing -->\n' +
+        '    <div style="height: 15px;"></div>\n' +
+        '    \n' +
+        '    <!-- Legend positioned between filters and radio buttons -->\n' +
+        '    <div id="legend" class="legend hidden">\n' +
+        '      <h3>Pull Request Review Report Legend</h3>\n' +
+        '      \n' +
+        '      <div class="legend-grid">\n' +
+        '        <div class="legend-box">\n' +
+        '          <h4>Pull Request Status</h4>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="legend-sample" style="background-color: #ff9800;"></span>\n' +
+        '            <span class="needs-review">Needs Review</span>: ' +
+        'Pull Request needs more reviews before it can be merged\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="legend-sample" style="background-color: #f44336;"></span>\n' +
+        '            <span class="changes-requested">Changes Requested</span>: ' +
+        'Pull Request needs code changes based on review feedback\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="legend-sample" style="background-color: #4caf50;"></span>\n' +
+        '            <span class="ready-to-merge">Ready to Merge</span>: ' +
+        'Pull Request meets the merge policy (' + escapeHtml(describePolicy(policy)) + '), its checks pass and it can be merged\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="legend-sample" style="background-color: #f44336;"></span>\n' +
+        '            <span class="conflicts">Conflicts</span> / <span class="checks-failing">Checks failing</span>: ' +
+        'Pull Request has merge conflicts or failing CI checks that the author needs to fix\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="legend-sample" style="background-color: #e91e63;"></span>\n' +
+        '            <span class="blocked">Blocked by label</span>: ' +
+        'Pull Request meets the merge policy but has a blocking label (' +
+        escapeHtml(policy.blockingLabels.join(', ') || 'none configured') + ')\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="legend-sample" style="background-color: #ffeb3b;"></span>\n' +
+        '            <span class="checks-pending">Checks pending</span>: ' +
+        'Pull Request has the required approvals but its CI checks are still running; it is listed as ready to ' +
+        'merge\n' +
+        '          </div>\n' +
+        '        </div>\n' +
+        '        \n' +
+        '        <div class="legend-box">\n' +
+        '          <h4>Reviewer Status</h4>\n' +
+        '          <table class="legend-table">\n' +
+        '            <tr>\n' +
+        '              <th>Status</th>\n' +
+        '              <th>Description</th>\n' +
+        '            </tr>\n' +
+        '            <tr>\n' +
+        '              <td><code>username (requested)</code></td>\n' +
+        '              <td>Reviewer has been requested but hasn\'t reviewed yet</td>\n' +
+        '            </tr>\n' +
+        '            <tr>\n' +
+        '              <td><code>org/team (requested)</code> <span class="team-badge">TEAM</span></td>\n' +
+        '              <td>A team has been requested as reviewer; any member of the team can review</td>\n' +
+        '            </tr>\n' +
+        '            <tr>\n' +
+        '              <td><code>username (approved)</code></td>\n' +
+        '              <td>Reviewer has approved the Pull Request</td>\n' +
+        '            </tr>\n' +
+        '            <tr>\n' +
+        '              <td><code>username (stale approval)</code></td>\n' +
+        '              <td>Reviewer approved an earlier commit; the approval predates the latest push ' +
+        'and does not count toward the required approvals</td>\n' +
+        '            </tr>\n' +
+        '            <tr>\n' +
+        '              <td><code>username (commented)</code></td>\n' +
+        '              <td>Reviewer has commented but not approved or requested changes</td>\n' +
+        '            </tr>\n' +
+        '            <tr>\n' +
+        '              <td><code>username (requested changes)</code></td>\n' +
+        '              <td>Reviewer has requested changes that need to be addressed</td>\n' +
+        '            </tr>\n' +
+        '            <tr>\n' +
+        '              <td><code>username (pending)</code></td>\n' +
+        '              <td>Started but not submitted review: When a reviewer begins drafting ' +
+        'their review in GitHub but hasn\'t submitted it yet</td>\n' +
+        '            </tr>\n' +
+        '          </table>\n' +
+        '        </div>\n' +
+        '        \n' +
+        '        <div class="legend-box">\n' +
+        '          <h4>Visual Indicators & Views</h4>\n' +
+        '          <div class="legend-item">\n' +
+        '            <div class="legend-pending-sample">Pull Request requiring your review</div>\n' +
+        '            Pull Requests that need your review are highlighted with ' +
+        'an orange left border in Reviewers\' View\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="pending-badge">3</span> The number in the orange badge ' +
+        'shows how many pending reviews in Reviewers\' View\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="author-badge">4</span> The number in the blue badge ' +
+        'shows how many PRs created in Authors\' View\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="ooo-badge">OOO</span> Reviewer is out of office today (per the availability file); ' +
+        'their pending count is greyed out\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="absent-blocked-badge">BLOCKED ON ABSENT REVIEWER</span> Every reviewer the ' +
+        'Pull Request is waiting for is out of office\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="label-badge" style="background-color: #555555; color: white;">label</span>' +
+        '<span class="milestone-badge">milestone</span><span class="assignee-badge">Assigned: login</span> ' +
+        'The Pull Request\'s labels (in their GitHub colours), milestone and assignees; filter by label next to ' +
+        'Report / Chart / Trends\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="jira-mismatch-badge">JIRA CLOSED</span> The Pull Request is open but its Jira ' +
+        'issue is already done or does not exist; hover a Jira issue link for its status, priority, fix version ' +
+        'and assignee\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span class="draft-badge">DRAFT</span> Indicates a pull request in draft state that is not ready for review\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <span style="color: yellow;">Yellow</span> / ' +
+        '<span style="color: orange;">Orange</span> / ' +
+        '<span style="color: red;">Red</span> days count (' + escapeHtml(describeThresholds(policy.aging)) + '): ' +
+        'Indicates how long the Pull Request has been open; hover for business and calendar days\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <strong>Reviewers\' View</strong>: Focus on PRs that each reviewer ' +
+        'is responsible for reviewing\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <strong>Authors\' View</strong>: Focus on PRs created by each author\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <strong>Suggested / Needs Reviewers</strong>: PRs with fewer reviewers than required approvals ' +
+        'get suggested reviewers with the fewest pending reviews, favouring people who reviewed the author\'s ' +
+        'other PRs (open or in the report history); they are listed under Needs Reviewers in Reviewers\' View\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <strong>Sorting and search</strong>: Click the Author, ' + issueHeader + ', # Days Open, ' +
+        '# Approvals or Status header of a PR table to sort (click again to reverse, a third time for the ' +
+        'report\'s order); the search box matches PR titles, numbers, issue keys and logins. Both are kept in ' +
+        'the URL\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <strong>All PRs</strong>: Every open Pull Request once, with each reviewer coloured by their ' +
+        'review state (green approved, red changes requested, orange requested, grey commented or stale); ' +
+        'filter by status, draft and reviewers\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <strong>My Queue</strong>: Reviews waiting on you, your PRs that need action and your PRs ' +
+        'that are ready to merge, for the GitHub login you enter (remembered in this browser; ' +
+        'bookmark with <code>?me=login</code>)\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <strong>Median Response Time</strong>: Median time from a review request ' +
+        'to the reviewer\'s review, in the Reviewers\' View and the chart\'s response time sort\n' +
+        '          </div>\n' +
+        '          <div class="legend-item">\n' +
+        '            <strong>Trends</strong>: Open PRs, pending reviews per reviewer and median days ' +
+        'to approval of the PRs open at each report run (PRs merged by then no longer count, so it leans ' +
+        'towards PRs that stay open after approval)\n' +
+        '          </div>\n' +
+        '        </div>\n' +
+        '      </div>\n' +
+        '    </div>\n' +
+        '    \n' +
+        '    <!-- Bar chart container -->\n' +
+        '    <div id="chart-container" class="chart-container">\n' +
+        '        <h3>\n' +
+        '            <span id="chart-title">Pending Reviews by Reviewer</span>\n' +
+        '            <button id="toggle-sort" style="margin-left: 10px; background-color: #333; ' +
+        'color: white; border: none; padding: 5px 10px; cursor: pointer; ' +
+        'border-radius: 4px; font-size: 12px;">\n' +
+        '                Sort: Highest First\n' +
+        '            </button>\n' +
+        '            <button id="toggle-sort-metric" style="margin-left: 10px; background-color: #333; ' +
+        'color: white; border: none; padding: 5px 10px; cursor: pointer; ' +
+        'border-radius: 4px; font-size: 12px;">\n' +
+        '                Sort By: Pending Reviews\n' +
+        '            </button>\n' +
+        '            <button id="return-to-table" style="margin-left: 10px; background-color: #555; ' +
+        'color: white; border: none; padding: 5px 10px; cursor: pointer; ' +
+        'border-radius: 4px; font-size: 12px;">\n' +
+        '                Back to Table View\n' +
+        '            </button>\n' +
+        '        </h3>\n' +
+        '        <div id="horizontal-chart"></div>\n' +
+        '    </div>\n' +
+        '    \n' +
+        '    <!-- Trends container -->\n' +
+        '    <div id="trends-container" class="chart-container">\n' +
+        '        <h3>Trends <span id="trends-note" class="trends-note"></span></h3>\n' +
+        '        <h4>Open Pull Requests</h4>\n' +
+        '        <div id="trend-open-prs" class="trend-chart"></div>\n' +
+        '        <h4>Pending Reviews by Reviewer</h4>\n' +
+        '        <div id="trend-pending" class="trend-chart"></div>\n' +
+        '        <h4>Median Days to Approval of Open PRs</h4>\n' +
+        '        <div id="trend-approval" class="trend-chart"></div>\n' +
+        '    </div>';
+
+
+    /* REVIEWERS VIEW - radios and rows are rendered by the client */
+    htmlContent += '<div id="reviewers-view">\n' +
+        '        <div class="radio-container">\n' +
+        '            <label><input type="radio" name="reviewerFilter" value="all" checked ' +
+        'onclick="filterTable(\'all\')"> Show all</label>\n' +
+        '            <table id="reviewer-radios" style="margin-top: 8px; margin-bottom: 24px;"></table>\n' +
+        '        </div>\n' +
+        '        <table class="reviewer-table">\n' +
+        '            <thead>\n' +
+        '            <tr>\n' +
+        '                <th style="width: 28%;">Reviewer</th>\n' +
+        '                <th># Reviews Requested (Pending)</th>\n' +
+        '                <th>Median Response Time</th>\n' +
+        '            </tr>\n' +
+        '            </thead>\n' +
+        '            <tbody id="reviewer-rows"></tbody>\n' +
+        '        </table>\n' +
+        '    </div>';
+
+    /* AUTHORS VIEW - radios and rows are rendered by the client */
+    htmlContent += '<div id="authors-view" class="hidden">\n' +
+        '        <div class="radio-container">\n' +
+        '            <label><input type="radio" name="authorFilter" value="all" checked ' +
+        'onclick="filterTable(\'all\')"> Show all</label>\n' +
+        '            <table id="author-radios" style="margin-top: 8px; margin-bottom: 24px;"></table>\n' +
+        '        </div>\n' +
+        '        <table class="author-table">\n' +
+        '            <thead>\n' +
+        '            <tr>\n' +
+        '                <th style="width: 28%;">Author</th>\n' +
+        '                <th># PRs Created</th>\n' +
+        '            </tr>\n' +
+        '            </thead>\n' +
+        '            <tbody id="author-rows"></tbody>\n' +
+        '        </table>\n' +
+        '    </div>';
+
+    /* ALL PRS VIEW - every open PR once, rendered and filtered by the client */
+    htmlContent += '<div id="all-view" class="hidden">\n' +
+        '        <div class="all-controls">\n' +
+        '          <fieldset class="all-filter" id="all-status-filter">\n' +
+        '            <legend>Status</legend>\n' +
+        '            <span id="all-status-options"></span>\n' +
+        '          </fieldset>\n' +
+        '          <fieldset class="all-filter" id="all-draft-filter">\n' +
+        '            <legend>Draft</legend>\n' +
+        '            <label><input type="checkbox" name="allDraft" value="false" checked> Ready for review</label>\n' +
+        '            <label><input type="checkbox" name="allDraft" value="true" checked> Draft</label>\n' +
+        '          </fieldset>\n' +
+        '          <fieldset class="all-filter">\n' +
+        '            <legend>Reviewer</legend>\n' +
+        '            <select id="all-reviewer-filter" class="all-reviewer-filter" multiple size="4" ' +
+        'title="Show the PRs of any of the selected reviewers (Ctrl/Cmd-click to select several; none for all)">\n' +
+        '            </select>\n' +
+        '          </fieldset>\n' +
+        '          <span id="all-summary" class="all-summary"></span>\n' +
+        '        </div>\n' +
+        '        <table class="pr-table all-pr-table">\n' +
+        '            <thead>\n' +
+        '            <tr>\n' +
+        '                  <th title="Pull Request">Pull Request</th>\n' +
+        sortableHeader('author', 'Author', 'Author') +
+        '                  <th title="Reviewers and their review state">Reviewers</th>\n' +
+        sortableHeader('approvals', '# Approvals', '# Approvals') +
+        sortableHeader('daysOpen', '# Days Open', '# Days Open') +
+        sortableHeader('status', 'Status', 'Status') +
+        '                  <th title="CI checks and merge conflicts">Checks</th>\n' +
+        sortableHeader('issue', 'Linked issues', issueHeader) +
+        repositoryHeader +
+        '            </tr>\n' +
+        '            </thead>\n' +
+        '            <tbody id="all-rows"></tbody>\n' +
+        '        </table>\n' +
+        '    </div>';
+
+    /* MY QUEUE VIEW - rows are rendered by the client for the chosen login */
+    htmlContent += '<div id="queue-view" class="hidden">\n' +
+        '        <div class="queue-controls">\n' +
+        '            <label for="queue-login">GitHub login:</label>\n' +
+        '            <input id="queue-login" class="queue-login" list="queue-logins" placeholder="your-login" ' +
+        'autocomplete="off">\n' +
+        '            <datalist id="queue-logins"></datalist>\n' +
+        '            <span id="queue-summary" class="queue-summary"></span>\n' +
+        '        </div>\n' +
+        '        <table class="pr-table queue-table">\n' +
+        '            <thead>\n' +
+        '                <tr>\n' +
+        '                  <th title="Why the PR is in your queue">Why</th>\n' +
+        '                  <th title="Pull Request">Pull Request</th>\n' +
+        '                  <th title="Author">Author</th>\n' +
+        '                  <th title="# Days Open"># Days Open</th>\n' +
+        '                  <th title="# Approvals"># Approvals</th>\n' +
+        '                  <th title="Status">Status</th>\n' +
+        '                  <th title="CI checks and merge conflicts">Checks</th>\n' +
+        repositoryHeader +
+        '                </tr>\n' +
+        '            </thead>\n' +
+        '            <tbody id="queue-body"></tbody>\n' +
+        '        </table>\n' +
+        '    </div>';
+
+    /* NEEDS REVIEWERS SECTION */
+    htmlContent += '\n    <!-- Needs Reviewers Section -->\n' +
+        '    <div id="needs-reviewers-section" class="needs-reviewers-section-header">\n' +
+        '        <h2>Pull Requests Needing Reviewers</h2>\n' +
+        '        <div>\n' +
+        '            <span class="needs-reviewers-count" id="needs-reviewers-count"></span>\n' +
+        '            <a href="#top" class="back-to-top">Back to top</a>\n' +
+        '        </div>\n' +
+        '    </div>\n' +
+        '    \n' +
+        '    <table class="needs-reviewers-table" id="needs-reviewers-table">\n' +
+        '        <thead>\n' +
+        '        <tr>\n' +
+        '            <th>Pull Request</th>\n' +
+        '            <th>Author</th>\n' +
+        '            <th>Days Open</th>\n' +
+        '            <th>Reviewers</th>\n' +
+        '            <th>Approvals</th>\n' +
+        '            <th>Missing</th>\n' +
+        '            <th>Suggested Reviewers</th>\n' +
+        (multiRepo ? '            <th>Repository</th>\n' : '') +
+        '        </tr>\n' +
+        '        </thead>\n' +
+        '        <tbody id="needs-reviewers-rows"></tbody>\n' +
+        '    </table>\n';
+
+    /* READY TO MERGE SECTION */
+    htmlContent += '\n    <!-- Ready to Merge PRs Section -->\n' +
+        '    <div id="ready-section" class="ready-section-header" style="display: none;">\n' +
+        '        <h2>Ready to Merge Pull Requests</h2>\n' +
+        '        <div>\n' +
+        '            <span class="ready-count" id="ready-count"></span>\n' +
+        '            <a href="#top" class="back-to-top">Back to top</a>\n' +
+        '        </div>\n' +
+        '    </div>\n' +
+        '    \n' +
+        '    <table class="ready-table" id="ready-table" style="display: none;">\n' +
+        '        <thead>\n' +
+        '        <tr>\n' +
+        '            <th>Pull Request</th>\n' +
+        '            <th>Author</th>\n' +
+        '            <th>Days Open</th>\n' +
+        '            <th>Approvals</th>\n' +
+        '            <th>Approved By</th>\n' +
+        '            <th>' + issueHeader + '</th>\n' +
+        '            <th>Checks</th>\n' +
+        (multiRepo ? '            <th>Repository</th>\n' : '') +
+        '        </tr>\n' +
+        '        </thead>\n' +
+        '        <tbody id="ready-rows"></tbody>\n' +
+        '    </table>\n</body>\n</html>';
+
+    return { 'index.html': htmlContent };
+}
+
+module.exports = {
+    renderHtml,
+};
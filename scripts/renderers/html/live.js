@@ -0,0 +1,203 @@
+// Keeps the page current: checks REPORT_REFRESH.dataUrl for a newer run, highlights the PRs that
+// changed since the viewer's last visit and can show a browser notification when new ones arrive.
+
+// localStorage keys of what the viewer saw on their last visit and of the notification choice
+var SEEN_KEY = 'prReviewReport.seen';
+var NOTIFY_KEY = 'prReviewReport.notify';
+
+// What the viewer had seen before this visit (null on the first visit); highlights are relative to it
+var lastSeen = null;
+
+// Badge text and summary wording of each kind of change
+var CHANGE_KINDS = {
+    new: { badge: 'NEW', summary: ['new PR', 'new PRs'] },
+    requested: { badge: 'NEW REQUEST', summary: ['new review request for you', 'new review requests for you'] },
+    ready: { badge: 'NOW READY', summary: ['PR newly ready to merge', 'PRs newly ready to merge'] }
+};
+
+// The PR ids of a report with the logins whose review they request, and the PRs ready to merge
+function seenSnapshot(data) {
+    var prs = {};
+    data.prs.forEach(function(pr) {
+        prs[pr.id] = pr.reviewers.filter(function(reviewer) {
+            return reviewer.state === 'REQUESTED';
+        }).map(function(reviewer) {
+            return reviewer.login.toLowerCase();
+        });
+    });
+    return { generatedAt: data.generatedAt, prs: prs, ready: data.readyToMerge.slice() };
+}
+
+// localStorage can be unavailable, e.g. for file:// pages
+function loadSeen() {
+    try {
+        return JSON.parse(localStorage.getItem(SEEN_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Remember the shown report as seen - only while the page is visible, so a run fetched in a
+// background tab is still new on the next visit
+function rememberSeen() {
+    if (!report || document.hidden) return;
+    try {
+        localStorage.setItem(SEEN_KEY, JSON.stringify(seenSnapshot(report)));
+    } catch (e) {
+        console.log("Could not remember the seen PRs:", e);
+    }
+}
+
+/**
+ * Changes in a report since a snapshot: PR id -> kinds ('new', 'requested'
+ * for a review request of login, 'ready'). Nothing changed when there is no
+ * snapshot to compare with.
+ */
+function findChanges(data, seen, login) {
+    var changes = {};
+    if (!seen) return changes;
+    var viewer = login.toLowerCase();
+    data.prs.forEach(function(pr) {
+        var kinds = [];
+        var requestedBefore = seen.prs[pr.id];
+        if (!requestedBefore) kinds.push('new');
+        var requested = pr.reviewers.some(function(reviewer) {
+            return reviewer.state === 'REQUESTED' && reviewer.login.toLowerCase() === viewer;
+        });
+        if (viewer && requested && (!requestedBefore || requestedBefore.indexOf(viewer) === -1)) {
+            kinds.push('requested');
+        }
+        if (data.readyToMerge.indexOf(pr.id) !== -1 && seen.ready.indexOf(pr.id) === -1) kinds.push('ready');
+        if (kinds.length > 0) changes[pr.id] = kinds;
+    });
+    return changes;
+}
+
+// "2 new PRs, 1 PR newly ready to merge" ('' when nothing changed)
+function describeChanges(changes) {
+    var counts = { new: 0, requested: 0, ready: 0 };
+    Object.keys(changes).forEach(function(id) {
+        changes[id].forEach(function(kind) {
+            counts[kind] += 1;
+        });
+    });
+    return Object.keys(CHANGE_KINDS).filter(function(kind) {
+        return counts[kind] > 0;
+    }).map(function(kind) {
+        return counts[kind] + ' ' + CHANGE_KINDS[kind].summary[counts[kind] === 1 ? 0 : 1];
+    }).join(', ');
+}
+
+/**
+ * Badge every PR row that changed since the last visit (the review requests
+ * are those of the My Queue login) and summarize the changes above the tables.
+ */
+function highlightChanges() {
+    if (!report) return;
+    var changes = findChanges(report, lastSeen, getStoredLogin());
+
+    document.querySelectorAll('tr[data-id]').forEach(function(row) {
+        row.querySelectorAll('.change-badge').forEach(function(badge) {
+            badge.parentNode.removeChild(badge);
+        });
+        var kinds = changes[row.getAttribute('data-id')] || [];
+        row.classList.toggle('changed-row', kinds.length > 0);
+        var link = row.querySelector('.pr-link');
+        kinds.forEach(function(kind) {
+            link.parentNode.insertBefore(makeElement('span', 'change-badge', CHANGE_KINDS[kind].badge), link);
+        });
+    });
+
+    var summary = describeChanges(changes);
+    document.getElementById('changes-summary').textContent = summary ? 'Since your last visit: ' + summary : '';
+    document.getElementById('mark-seen').classList.toggle('hidden', !summary);
+}
+
+// Clear the highlights: everything shown now counts as seen
+function markAllSeen() {
+    lastSeen = seenSnapshot(report);
+    rememberSeen();
+    highlightChanges();
+}
+
+function notificationsEnabled() {
+    try {
+        return localStorage.getItem(NOTIFY_KEY) === 'on' && Notification.permission === 'granted';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Turn browser notifications on (asking for permission) or off
+function setNotifications(enabled) {
+    var toggle = document.getElementById('notify-toggle');
+    var store = function(on) {
+        toggle.checked = on;
+        try {
+            localStorage.setItem(NOTIFY_KEY, on ? 'on' : 'off');
+        } catch (e) {
+            console.log("Could not remember the notification choice:", e);
+        }
+    };
+    if (!enabled) {
+        store(false);
+        return;
+    }
+    Notification.requestPermission().then(function(permission) {
+        store(permission === 'granted');
+    });
+}
+
+// Notify the viewer of the changes a newly fetched run brought, if they turned notifications on
+function notifyChanges(previous, data) {
+    var summary = describeChanges(findChanges(data, seenSnapshot(previous), getStoredLogin()));
+    if (!summary || !notificationsEnabled()) return;
+    new Notification(document.title, { body: summary, tag: 'pr-review-report' });
+}
+
+// Fetch the data again and, when it is from a newer run, render it keeping the viewer's filters
+function refreshReport() {
+    return fetchReport()
+        .then(function(data) {
+            setReportStatus(null);
+            if (data.generatedAt === report.generatedAt) return;
+            var previous = report;
+            renderReport(data);
+            reapplyViewState();
+            highlightChanges();
+            notifyChanges(previous, data);
+            rememberSeen();
+        })
+        .catch(function(err) {
+            setReportStatus('Could not check for a newer report (' + err.message + '); showing the run of ' +
+                new Date(report.generatedAt).toLocaleString() + '.');
+        });
+}
+
+/**
+ * Start live updates once the first report is rendered: highlight what
+ * changed since the last visit, then check for a newer run every
+ * REPORT_REFRESH.minutes (never when 0).
+ */
+function startLiveUpdates() {
+    lastSeen = loadSeen();
+    highlightChanges();
+    rememberSeen();
+    document.addEventListener('visibilitychange', rememberSeen);
+    document.getElementById('mark-seen').addEventListener('click', markAllSeen);
+
+    if ('Notification' in window) {
+        var toggle = document.getElementById('notify-toggle');
+        toggle.checked = notificationsEnabled();
+        toggle.addEventListener('change', function() {
+            setNotifications(this.checked);
+        });
+        document.getElementById('notify-option').classList.remove('hidden');
+    }
+
+    if (REPORT_REFRESH.minutes > 0) {
+        document.getElementById('lastUpdated').title = 'Checks for a newer report every ' +
+            plural(REPORT_REFRESH.minutes, 'minute');
+        setInterval(refreshReport, REPORT_REFRESH.minutes * 60 * 1000);
+    }
+}
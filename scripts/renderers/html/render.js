@@ -0,0 +1,766 @@
+// Renders the report tables in the browser from report.json (docs/report-schema.json).
+// Values from GitHub, the policy file or Jira are only ever set as text or attribute
+// values, never parsed as HTML.
+
+// The loaded report, and its PRs and reviewers by id and login
+var report = null;
+var prsById = {};
+var reviewersByLogin = {};
+
+// Data for the bar chart, the trends and My Queue, derived from the report
+var reviewerChartData = [];
+var authorData = {};
+var authorNames = {};
+var reviewerNames = {};
+var trendData = [];
+var queueData = {};
+
+// Label of each review state
+var REVIEW_STATE_TEXT = {
+    REQUESTED: 'requested',
+    APPROVED: 'approved',
+    CHANGES_REQUESTED: 'requested changes',
+    COMMENTED: 'commented',
+    DISMISSED: 'dismissed',
+    PENDING: 'pending',
+    STALE_APPROVED: 'stale approval'
+};
+
+// Label for each reason a PR is in someone's queue
+var QUEUE_REASON_TEXT = {
+    review: 'Review requested',
+    needs_action: 'Needs your action',
+    ready_to_merge: 'Ready to merge'
+};
+
+// Hours as "<1h", "5h" or "2.5d" (formatHours in review_metrics.js)
+function formatHours(hours) {
+    if (hours === null || hours === undefined) return '';
+    if (hours < 1) return '<1h';
+    if (hours < 48) return Math.round(hours) + 'h';
+    return Math.round(hours / 24 * 10) / 10 + 'd';
+}
+
+// CSS class and label for each PR status, from STATUS_DISPLAY in the page
+function getStatusDisplay(status) {
+    return STATUS_DISPLAY[status] || STATUS_DISPLAY.needs_review;
+}
+
+// CSS class and label for the Checks column
+function getChecksDisplay(checkStatus) {
+    if (checkStatus === 'checks_passing') {
+        return { checksClass: 'checks-passing', checksText: 'Passing' };
+    }
+    if (!checkStatus) {
+        return { checksClass: '', checksText: 'Unknown' };
+    }
+    var display = getStatusDisplay(checkStatus);
+    return { checksClass: display.statusClass, checksText: display.statusText };
+}
+
+// Colour of the # Days Open cell, by the policy's aging thresholds
+function agingColor(days) {
+    var thresholds = report.policy.aging.thresholds;
+    if (days > thresholds.red) return 'red';
+    if (days > thresholds.orange) return 'orange';
+    if (days > thresholds.yellow) return 'yellow';
+    return '#d4d4d4'; // Default (white)
+}
+
+function plural(count, word) {
+    return count + ' ' + word + (count === 1 ? '' : 's');
+}
+
+// Business and calendar days a PR has been open
+function agingTitle(pr) {
+    return plural(pr.businessDaysOpen, 'business day') + ', ' + plural(pr.calendarDaysOpen, 'calendar day');
+}
+
+// Tooltip for the # Days Open cell: the age plus the time from review request to first review
+function daysOpenTitle(pr) {
+    if (pr.firstReviewHours === null) return agingTitle(pr) + ' (no review yet)';
+    return agingTitle(pr) + ' (first review ' + formatHours(pr.firstReviewHours) + ' after request)';
+}
+
+// Tooltip for the # Approvals cell: time from creation to each approval
+function approvalsTitle(pr) {
+    if (pr.approvalHours.length === 0) return String(pr.approvals);
+    return pr.approvals + ' (approved after ' + pr.approvalHours.map(function(approval) {
+        return formatHours(approval.hours) + ' by ' + approval.reviewer;
+    }).join(', ') + ')';
+}
+
+function reviewStateText(state) {
+    return REVIEW_STATE_TEXT[state] || state.toLowerCase();
+}
+
+// Reviewers as "login (state)", optionally with one login moved to the front
+function reviewersText(reviewers, first) {
+    var ordered = reviewers.slice();
+    var index = ordered.map(function(reviewer) {
+        return reviewer.login;
+    }).indexOf(first);
+    if (index > 0) {
+        ordered.unshift(ordered.splice(index, 1)[0]);
+    }
+    return ordered.map(function(reviewer) {
+        return reviewer.login + ' (' + reviewStateText(reviewer.state) + ')';
+    }).join(', ');
+}
+
+// "Full Name (login)" when the full name is known
+function displayName(login, names) {
+    return names[login] ? names[login] + ' (' + login + ')' : login;
+}
+
+// Header of the linked issues column, named after the tracker when there is only one
+function issueHeader() {
+    var trackers = report.policy.issueTrackers;
+    return trackers.length === 1 ? trackers[0].name : 'Issues';
+}
+
+// Element with an optional class, text and tooltip
+function makeElement(tag, className, text, title) {
+    var element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = text;
+    if (title) element.title = title;
+    return element;
+}
+
+// Table header cell; sortKey makes it sort the PR tables when clicked (see sortPrTables in report.js)
+function headerCell(label, title, sortKey) {
+    var header = makeElement('th', sortKey ? 'sortable' : '', label, sortKey ? title + ' - click to sort' : title);
+    if (sortKey) header.setAttribute('data-sort', sortKey);
+    return header;
+}
+
+function isMultiRepo() {
+    return report.repositories.length > 1;
+}
+
+// Black or white, whichever reads better on a label's background colour
+function labelTextColor(color) {
+    var red = parseInt(color.slice(0, 2), 16);
+    var green = parseInt(color.slice(2, 4), 16);
+    var blue = parseInt(color.slice(4, 6), 16);
+    return (red * 299 + green * 587 + blue * 114) / 1000 > 128 ? 'black' : 'white';
+}
+
+// DRAFT, blocked on absent reviewer, label, milestone and assignee badges
+function appendPrBadges(cell, pr, options) {
+    if (options.draft && pr.isDraft) {
+        cell.appendChild(makeElement('div', 'draft-badge', 'DRAFT'));
+    }
+    if (options.blocked && pr.blockedOnAbsentReviewer) {
+        cell.appendChild(makeElement('div', 'absent-blocked-badge', 'BLOCKED ON ABSENT REVIEWER',
+            'Every reviewer this PR is waiting for is out of office'));
+    }
+    pr.labels.forEach(function(label) {
+        var color = report.labelColors[label];
+        if (!/^[0-9a-f]{6}$/i.test(color || '')) color = '555555';
+        var badge = makeElement('div', 'label-badge', label, 'Label');
+        badge.style.backgroundColor = '#' + color;
+        badge.style.color = labelTextColor(color);
+        cell.appendChild(badge);
+    });
+    if (pr.milestone) {
+        cell.appendChild(makeElement('div', 'milestone-badge', pr.milestone.title,
+            'Milestone' + (pr.milestone.dueOn ? ', due ' + pr.milestone.dueOn.slice(0, 10) : '')));
+    }
+    if (pr.assignees.length > 0) {
+        cell.appendChild(makeElement('div', 'assignee-badge', 'Assigned: ' + pr.assignees.join(', '), 'Assignees'));
+    }
+}
+
+function prLink(pr) {
+    var link = makeElement('a', 'pr-link', pr.title, pr.title);
+    link.href = pr.url;
+    return link;
+}
+
+// Linked issues as links to their trackers, with the fetched Jira details (when enriched) as tooltips,
+// followed by badges for linked Jira issues that are closed or missing
+function addIssuesCell(row, pr) {
+    var cell = makeElement('td', '', null, 'Linked issues');
+    pr.issues.forEach(function(issue, index) {
+        if (index > 0) cell.appendChild(document.createTextNode(', '));
+        var jiraIssue = report.jiraIssues && report.jiraIssues[issue.key];
+        var link = makeElement('a', 'issue-link', issue.key,
+            jiraIssue ? describeJiraIssue(jiraIssue) : issue.tracker + ' ' + issue.key);
+        link.href = issue.url;
+        link.target = '_blank';
+        cell.appendChild(link);
+    });
+    pr.jiraMismatches.forEach(function(mismatch) {
+        cell.appendChild(makeElement('div', 'jira-mismatch-badge',
+            mismatch.reason === 'closed' ? 'JIRA CLOSED' : 'JIRA NOT FOUND', mismatch.message));
+    });
+    row.appendChild(cell);
+}
+
+function addDaysOpenCell(row, pr, title) {
+    addCell(row, pr.daysOpen, '', title).style.color = agingColor(pr.daysOpen);
+}
+
+function addStatusCells(row, pr) {
+    var status = getStatusDisplay(pr.status);
+    var checks = getChecksDisplay(pr.checkStatus);
+    addCell(row, status.statusText, status.statusClass, pr.statusDetail || status.statusText);
+    addCell(row, checks.checksText, checks.checksClass);
+}
+
+// Suggested reviewers, with each one's pending reviews and reviews of the author's PRs in the tooltip
+function addSuggestedCell(row, pr, emptyText) {
+    var text = pr.suggestedReviewers.join(', ');
+    var title = pr.suggestedReviewerDetails.map(function(suggestion) {
+        return suggestion.login + ' (' + suggestion.pending + ' pending, reviewed ' + suggestion.authorReviews +
+            ' of the author\'s PRs in the report history)';
+    }).join(', ');
+    var cell = addCell(row, text || emptyText || '', 'suggested-reviewers', title);
+    if (!title) cell.removeAttribute('title');
+}
+
+function addRepositoryCell(row, pr) {
+    if (isMultiRepo()) addCell(row, pr.repository);
+}
+
+// Row attributes the repository, label, search and sort controls work on; order is the row's position
+// in the report's own order
+function setPrRowAttributes(row, pr, order) {
+    var searchText = [pr.title, '#' + pr.number].concat(pr.issues.map(function(issue) {
+        return issue.key;
+    }), [pr.author], pr.reviewers.map(function(reviewer) {
+        return reviewer.login;
+    })).join(' ').toLowerCase();
+
+    row.setAttribute('data-id', pr.id);
+    row.setAttribute('data-status', pr.status);
+    row.setAttribute('data-repo', pr.repository);
+    row.setAttribute('data-labels', JSON.stringify(pr.labels));
+    if (order === undefined) return;
+    row.setAttribute('data-order', order);
+    row.setAttribute('data-days-open', pr.daysOpen);
+    row.setAttribute('data-approvals', pr.approvals);
+    row.setAttribute('data-pr-author', pr.author);
+    row.setAttribute('data-issue', pr.issues.length > 0 ? pr.issues[0].key : '');
+    row.setAttribute('data-search', searchText);
+}
+
+// One PR of a reviewer's or an author's table; reviewer is the login the table belongs to, if any
+function prDetailRow(pr, order, reviewer) {
+    var row = makeElement('tr', 'pr-detail-row');
+    setPrRowAttributes(row, pr, order);
+
+    var titleCell = document.createElement('td');
+    titleCell.appendChild(prLink(pr));
+    row.appendChild(titleCell);
+    if (reviewer !== undefined) {
+        row.setAttribute('data-pending', String(reviewersByLogin[reviewer].pendingPrs.indexOf(pr.id) !== -1));
+        addCell(row, pr.author);
+    }
+    addIssuesCell(row, pr);
+
+    // The reviewer the table belongs to comes first
+    var reviewersCell = makeElement('td', '', null, reviewersText(pr.reviewers));
+    appendPrBadges(reviewersCell, pr, { draft: true, blocked: true });
+    reviewersCell.appendChild(document.createTextNode(reviewersText(pr.reviewers, reviewer)));
+    row.appendChild(reviewersCell);
+
+    addDaysOpenCell(row, pr, daysOpenTitle(pr));
+    addCell(row, pr.approvals + '/' + pr.requiredApprovals, '', approvalsTitle(pr));
+    addStatusCells(row, pr);
+    addSuggestedCell(row, pr);
+    addRepositoryCell(row, pr);
+    return row;
+}
+
+// Header row of a reviewer's or an author's PR table
+function prTableHeader(withAuthor) {
+    var row = document.createElement('tr');
+    row.appendChild(headerCell('Pull Request', 'Pull Request'));
+    if (withAuthor) row.appendChild(headerCell('Author', 'Author', 'author'));
+    row.appendChild(headerCell(issueHeader(), 'Linked issues', 'issue'));
+    row.appendChild(headerCell('Reviewers', 'Reviewers'));
+    row.appendChild(headerCell('# Days Open', '# Days Open', 'daysOpen'));
+    row.appendChild(headerCell('# Approvals', '# Approvals', 'approvals'));
+    row.appendChild(headerCell('Status', 'Status', 'status'));
+    row.appendChild(headerCell('Checks', 'CI checks and merge conflicts'));
+    row.appendChild(headerCell('Suggested',
+        'Suggested reviewers for PRs with fewer reviewers than required approvals'));
+    if (isMultiRepo()) row.appendChild(headerCell('Repository', 'Repository'));
+    return row;
+}
+
+// A person's summary row followed by the row holding their PR table
+function personRows(body, kind, login, summaryCells, prs, reviewer) {
+    var summaryRow = makeElement('tr', kind + '-row');
+    summaryRow.setAttribute('data-' + kind, login);
+    summaryCells.forEach(function(cell) {
+        summaryRow.appendChild(cell);
+    });
+    body.appendChild(summaryRow);
+
+    var tableRow = makeElement('tr', kind + '-row pr-row-table');
+    tableRow.setAttribute('data-' + kind, login);
+    var tableCell = document.createElement('td');
+    tableCell.colSpan = summaryCells.length;
+    var table = makeElement('table', 'pr-table ' + kind + '-pr-table');
+    table.appendChild(prTableHeader(kind === 'reviewer'));
+    prs.forEach(function(pr, index) {
+        table.appendChild(prDetailRow(pr, index, reviewer));
+    });
+    tableCell.appendChild(table);
+    tableRow.appendChild(tableCell);
+    body.appendChild(tableRow);
+}
+
+// Radio buttons that filter a view to one person, four to a row
+function renderPersonRadios(containerId, name, people, label) {
+    var table = document.getElementById(containerId);
+    // Keep the chosen person when the report is rendered again; "Show all" when they are gone
+    var checked = document.querySelector('input[name="' + name + '"]:checked');
+    var selected = checked ? checked.value : 'all';
+    table.innerHTML = '';
+    var row;
+    people.forEach(function(person, index) {
+        if (index % 4 === 0) {
+            row = document.createElement('tr');
+            table.appendChild(row);
+        }
+        var cell = document.createElement('td');
+        cell.style.textAlign = 'left';
+        cell.style.padding = '2px';
+        var radioLabel = document.createElement('label');
+        var radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = name;
+        radio.value = person.login;
+        radio.checked = person.login === selected;
+        radio.addEventListener('click', function() {
+            filterTable(this.value);
+        });
+        radioLabel.appendChild(radio);
+        radioLabel.appendChild(document.createTextNode(' '));
+        label(person).forEach(function(node) {
+            radioLabel.appendChild(node);
+        });
+        cell.appendChild(radioLabel);
+        row.appendChild(cell);
+    });
+    if (!people.some(function(person) {
+        return person.login === selected;
+    })) {
+        document.querySelector('input[name="' + name + '"][value="all"]').checked = true;
+    }
+}
+
+// Name of a reviewer followed by their TEAM and OOO badges
+function reviewerNameNodes(reviewer) {
+    var nodes = [document.createTextNode(displayName(reviewer.login, reviewerNames))];
+    if (reviewer.isTeam) nodes.push(makeElement('span', 'team-badge', 'TEAM'));
+    if (reviewer.outOfOffice) {
+        nodes.push(makeElement('span', 'ooo-badge', 'OOO', describeAbsence(reviewer.outOfOffice)));
+    }
+    return nodes;
+}
+
+function renderReviewersView() {
+    renderPersonRadios('reviewer-radios', 'reviewerFilter', report.reviewers, function(reviewer) {
+        var nodes = reviewerNameNodes(reviewer);
+        nodes.push(document.createTextNode(' '));
+        if (reviewer.pending > 0) {
+            nodes.push(makeElement('span', 'pending-badge' + (reviewer.outOfOffice ? ' absent-pending' : ''),
+                reviewer.pending));
+        }
+        return nodes;
+    });
+
+    var body = document.getElementById('reviewer-rows');
+    body.innerHTML = '';
+    report.reviewers.forEach(function(reviewer) {
+        var nameCell = document.createElement('td');
+        reviewerNameNodes(reviewer).forEach(function(node) {
+            nameCell.appendChild(node);
+        });
+        var pendingCell = document.createElement('td');
+        pendingCell.appendChild(makeElement('span', 'pending-count' + (reviewer.outOfOffice ? ' absent-pending' : ''),
+            reviewer.pending));
+        var responseCell = makeElement('td', '', formatHours(reviewer.medianResponseHours) || '-',
+            'Median time from review request to review, over ' + reviewer.responseCount + ' reviews');
+
+        // Pending reviews first
+        var sortOrder = function(pr) {
+            return reviewer.pendingPrs.indexOf(pr.id) === -1 ? 1 : 0;
+        };
+        var prs = reviewer.prs.map(function(id) {
+            return prsById[id];
+        }).sort(function(a, b) {
+            return sortOrder(a) - sortOrder(b);
+        });
+        personRows(body, 'reviewer', reviewer.login, [nameCell, pendingCell, responseCell], prs, reviewer.login);
+    });
+}
+
+function renderAuthorsView() {
+    renderPersonRadios('author-radios', 'authorFilter', report.authors, function(author) {
+        return [
+            document.createTextNode(displayName(author.login, authorNames) + ' '),
+            makeElement('span', 'author-badge', author.count)
+        ];
+    });
+
+    var body = document.getElementById('author-rows');
+    body.innerHTML = '';
+    report.authors.forEach(function(author) {
+        var countCell = document.createElement('td');
+        countCell.appendChild(makeElement('span', 'pr-count', author.count));
+
+        // Oldest first
+        var prs = author.prs.map(function(id) {
+            return prsById[id];
+        }).sort(function(a, b) {
+            return b.daysOpen - a.daysOpen;
+        });
+        personRows(body, 'author', author.login, [makeElement('td', '', displayName(author.login, authorNames)),
+            countCell], prs);
+    });
+}
+
+// Every PR, grouped by author
+function prsByAuthor() {
+    var prs = [];
+    report.authors.forEach(function(author) {
+        author.prs.forEach(function(id) {
+            prs.push(prsById[id]);
+        });
+    });
+    return prs;
+}
+
+// Checkbox for one value of an All PRs filter
+function filterCheckbox(name, value, label, checked) {
+    var checkboxLabel = document.createElement('label');
+    var checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = name;
+    checkbox.value = value;
+    checkbox.checked = checked;
+    checkboxLabel.appendChild(checkbox);
+    checkboxLabel.appendChild(document.createTextNode(' ' + label));
+    return checkboxLabel;
+}
+
+// Every open PR once, oldest first, with the status and reviewer filter choices kept across refreshes
+function renderAllPrsView() {
+    var prs = prsByAuthor().sort(function(a, b) {
+        return b.daysOpen - a.daysOpen;
+    });
+
+    // Statuses are checked (shown) unless they were unchecked before
+    var statusFilter = document.getElementById('all-status-options');
+    var unchecked = Array.prototype.map.call(statusFilter.querySelectorAll('input:not(:checked)'), function(input) {
+        return input.value;
+    });
+    statusFilter.innerHTML = '';
+    prs.map(function(pr) {
+        return pr.status;
+    }).filter(function(status, index, statuses) {
+        return statuses.indexOf(status) === index;
+    }).forEach(function(status) {
+        statusFilter.appendChild(filterCheckbox('allStatus', status, getStatusDisplay(status).statusText,
+            unchecked.indexOf(status) === -1));
+    });
+
+    var reviewerFilter = document.getElementById('all-reviewer-filter');
+    var selected = Array.prototype.map.call(reviewerFilter.selectedOptions, function(option) {
+        return option.value;
+    });
+    reviewerFilter.innerHTML = '';
+    report.reviewers.map(function(reviewer) {
+        return reviewer.login;
+    }).sort(function(a, b) {
+        return a.localeCompare(b);
+    }).forEach(function(login) {
+        var option = makeElement('option', '', login);
+        option.value = login;
+        option.selected = selected.indexOf(login) !== -1;
+        reviewerFilter.appendChild(option);
+    });
+
+    var body = document.getElementById('all-rows');
+    body.innerHTML = '';
+    prs.forEach(function(pr, index) {
+        var row = makeElement('tr', 'pr-detail-row');
+        setPrRowAttributes(row, pr, index);
+        row.setAttribute('data-draft', String(pr.isDraft));
+        row.setAttribute('data-reviewers', JSON.stringify(pr.reviewers.map(function(reviewer) {
+            return reviewer.login;
+        })));
+
+        var titleCell = document.createElement('td');
+        appendPrBadges(titleCell, pr, { draft: true, blocked: true });
+        titleCell.appendChild(prLink(pr));
+        row.appendChild(titleCell);
+        addCell(row, pr.author);
+
+        // One badge per reviewer, coloured by their review state
+        var reviewersCell = makeElement('td', 'all-reviewers', pr.reviewers.length === 0 ? '-' : null);
+        pr.reviewers.forEach(function(reviewer, reviewerIndex) {
+            if (reviewerIndex > 0) reviewersCell.appendChild(document.createTextNode(' '));
+            reviewersCell.appendChild(makeElement('span',
+                'reviewer-state state-' + reviewer.state.toLowerCase().replace(/_/g, '-'), reviewer.login,
+                reviewer.login + ': ' + reviewStateText(reviewer.state)));
+        });
+        row.appendChild(reviewersCell);
+
+        addCell(row, pr.approvals + '/' + pr.requiredApprovals, '', approvalsTitle(pr));
+        addDaysOpenCell(row, pr, daysOpenTitle(pr));
+        addStatusCells(row, pr);
+        addIssuesCell(row, pr);
+        addRepositoryCell(row, pr);
+        body.appendChild(row);
+    });
+}
+
+// Row shown in place of an empty table
+function emptyRow(text) {
+    var row = document.createElement('tr');
+    var cell = makeElement('td', '', text);
+    cell.colSpan = isMultiRepo() ? 8 : 7;
+    cell.style.textAlign = 'center';
+    cell.style.padding = '20px';
+    row.appendChild(cell);
+    return row;
+}
+
+// Count next to a section title and in the link to it; the link is hidden when the section is empty
+function setSectionCount(countId, linkId, linkText, count) {
+    document.getElementById(countId).textContent = count;
+    var link = document.getElementById(linkId);
+    link.textContent = linkText + ' (' + count + ')';
+    link.classList.toggle('empty-link', count === 0);
+}
+
+// PRs with fewer reviewers than required approvals, oldest first
+function renderNeedsReviewers() {
+    var prs = prsByAuthor().filter(function(pr) {
+        return pr.reviewerShortfall !== null;
+    }).sort(function(a, b) {
+        return b.daysOpen - a.daysOpen;
+    });
+    setSectionCount('needs-reviewers-count', 'needs-reviewers-link', 'Needs Reviewers', prs.length);
+
+    var body = document.getElementById('needs-reviewers-rows');
+    body.innerHTML = '';
+    prs.forEach(function(pr) {
+        var row = document.createElement('tr');
+        setPrRowAttributes(row, pr);
+        var titleCell = document.createElement('td');
+        titleCell.appendChild(prLink(pr));
+        appendPrBadges(titleCell, pr, {});
+        row.appendChild(titleCell);
+        addCell(row, pr.author);
+        addDaysOpenCell(row, pr, agingTitle(pr));
+        addCell(row, reviewersText(pr.reviewers) || '-');
+        addCell(row, pr.approvals + '/' + pr.requiredApprovals);
+        addCell(row, pr.reviewerShortfall, '', 'Reviewers missing to reach the required approvals');
+        addSuggestedCell(row, pr, 'No available reviewers');
+        addRepositoryCell(row, pr);
+        body.appendChild(row);
+    });
+    if (prs.length === 0) {
+        body.appendChild(emptyRow('Every open pull request has enough reviewers.'));
+    }
+}
+
+// PRs that meet the merge policy, oldest first
+function renderReadyToMerge() {
+    var prs = report.readyToMerge.map(function(id) {
+        return prsById[id];
+    }).sort(function(a, b) {
+        return b.daysOpen - a.daysOpen;
+    });
+    setSectionCount('ready-count', 'ready-to-merge-link', 'Ready To Merge', prs.length);
+
+    var body = document.getElementById('ready-rows');
+    body.innerHTML = '';
+    prs.forEach(function(pr) {
+        var row = document.createElement('tr');
+        setPrRowAttributes(row, pr);
+        var titleCell = document.createElement('td');
+        var link = prLink(pr);
+        if (pr.isDraft) {
+            link.appendChild(document.createTextNode(' '));
+            link.appendChild(makeElement('div', 'draft-badge', 'DRAFT'));
+        }
+        titleCell.appendChild(link);
+        appendPrBadges(titleCell, pr, {});
+        row.appendChild(titleCell);
+        addCell(row, pr.author);
+        addDaysOpenCell(row, pr, agingTitle(pr));
+        addCell(row, pr.approvals + '/' + pr.requiredApprovals);
+        addCell(row, pr.approvedBy.join(', '));
+        addIssuesCell(row, pr);
+        var checks = getChecksDisplay(pr.checkStatus);
+        addCell(row, checks.checksText, checks.checksClass);
+        addRepositoryCell(row, pr);
+        body.appendChild(row);
+    });
+    if (prs.length === 0) {
+        body.appendChild(emptyRow('No pull requests are currently ready to merge.'));
+    }
+}
+
+// Label filter options, keeping the chosen label; the filter is hidden when no PR has labels
+function renderLabelFilter() {
+    var labelFilter = document.getElementById('label-filter');
+    var current = labelFilter.value || 'all';
+    var labels = Object.keys(report.labelColors).sort(function(a, b) {
+        return a.localeCompare(b);
+    });
+    labelFilter.innerHTML = '';
+    ['all'].concat(labels).forEach(function(label) {
+        var option = makeElement('option', '', label === 'all' ? 'All labels' : label);
+        option.value = label;
+        labelFilter.appendChild(option);
+    });
+    labelFilter.value = labels.indexOf(current) !== -1 ? current : 'all';
+    labelFilter.classList.toggle('hidden', labels.length === 0);
+}
+
+// Chart, trends and My Queue data
+function deriveViewData() {
+    reviewerNames = {};
+    reviewerChartData = [];
+    report.reviewers.forEach(function(reviewer) {
+        if (reviewer.name) reviewerNames[reviewer.login] = reviewer.name;
+        if (reviewer.pending > 0) {
+            reviewerChartData.push({
+                reviewer: reviewer.login,
+                pending: reviewer.pending,
+                isTeam: reviewer.isTeam,
+                isAbsent: !!reviewer.outOfOffice,
+                medianResponseHours: reviewer.medianResponseHours,
+                medianResponse: formatHours(reviewer.medianResponseHours)
+            });
+        }
+    });
+
+    authorNames = {};
+    authorData = {};
+    report.authors.forEach(function(author) {
+        if (author.name) authorNames[author.login] = author.name;
+        authorData[author.login] = { count: author.count };
+    });
+
+    trendData = report.trends || [];
+
+    queueData = {};
+    Object.keys(report.queues).forEach(function(login) {
+        queueData[login] = report.queues[login].map(function(entry) {
+            var pr = prsById[entry.pr];
+            var status = getStatusDisplay(pr.status);
+            var checks = getChecksDisplay(pr.checkStatus);
+            return {
+                id: pr.id,
+                reason: entry.reason,
+                reasonText: QUEUE_REASON_TEXT[entry.reason],
+                repository: pr.repository,
+                url: pr.url,
+                title: pr.title,
+                author: pr.author,
+                daysOpen: pr.daysOpen,
+                daysOpenColor: agingColor(pr.daysOpen),
+                daysOpenTitle: agingTitle(pr),
+                approvals: pr.approvals + '/' + pr.requiredApprovals,
+                statusClass: status.statusClass,
+                statusText: status.statusText,
+                statusDetail: pr.statusDetail || status.statusText,
+                checksClass: checks.checksClass,
+                checksText: checks.checksText,
+                labels: pr.labels,
+                isDraft: pr.isDraft
+            };
+        });
+    });
+
+    // Queue logins: individual reviewers and authors
+    var logins = report.reviewers.filter(function(reviewer) {
+        return !reviewer.isTeam;
+    }).concat(report.authors).map(function(person) {
+        return person.login;
+    }).filter(function(login, index, all) {
+        return all.indexOf(login) === index;
+    }).sort(function(a, b) {
+        return a.localeCompare(b);
+    });
+    var datalist = document.getElementById('queue-logins');
+    datalist.innerHTML = '';
+    logins.forEach(function(login) {
+        var option = document.createElement('option');
+        option.value = login;
+        datalist.appendChild(option);
+    });
+}
+
+/**
+ * Render every table of the page from a loaded report.json. Rendering again
+ * replaces the rows; filter choices are re-applied by the caller.
+ */
+function renderReport(data) {
+    report = data;
+    prsById = {};
+    report.prs.forEach(function(pr) {
+        prsById[pr.id] = pr;
+    });
+    reviewersByLogin = {};
+    report.reviewers.forEach(function(reviewer) {
+        reviewersByLogin[reviewer.login] = reviewer;
+    });
+
+    deriveViewData();
+
+    document.getElementById('lastUpdated').textContent = 'Last Updated: ' +
+        new Date(report.generatedAt).toLocaleString();
+    document.getElementById('total-prs').textContent = report.totals.openPRs;
+    renderLabelFilter();
+    renderReviewersView();
+    renderAuthorsView();
+    renderAllPrsView();
+    renderNeedsReviewers();
+    renderReadyToMerge();
+}
+
+// Show a loading or error message above the tables (null hides it)
+function setReportStatus(text) {
+    var status = document.getElementById('report-status');
+    status.textContent = text || '';
+    status.classList.toggle('hidden', !text);
+}
+
+// Fetch the report data from REPORT_REFRESH.dataUrl (report.json next to this page by default)
+function fetchReport() {
+    return fetch(REPORT_REFRESH.dataUrl, { cache: 'no-store' }).then(function(response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+    });
+}
+
+/**
+ * Fetch the report data and render it. Resolves with the report; on failure
+ * the reason is shown on the page and the promise rejects.
+ */
+function loadReport() {
+    return fetchReport()
+        .then(function(data) {
+            renderReport(data);
+            setReportStatus(null);
+            return data;
+        })
+        .catch(function(err) {
+            setReportStatus('Could not load ' + REPORT_REFRESH.dataUrl + ' (' + err.message + '). The report reads ' +
+                'its data from there, so it has to be opened from a web server rather than as a file.');
+            throw err;
+        });
+}
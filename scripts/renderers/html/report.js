@@ -0,0 +1,1108 @@
+// Global variables for view state
+var currentView = 'reviewers'; // 'reviewers', 'authors', 'all' or 'queue'
+
+// Variable to track current sort order
+var sortAscending = false;
+
+// Reviewer chart sort metric: 'pending' count or 'response' time
+var sortMetric = 'pending';
+
+// localStorage key that remembers the login shown in My Queue
+var QUEUE_LOGIN_KEY = 'prReviewReport.me';
+
+// PR table sort column ('daysOpen', 'approvals', 'status', 'author' or 'issue'; null for the report's order)
+var prSort = { key: null, ascending: false };
+
+// Row attribute each PR table column is sorted by
+var SORT_ATTRIBUTES = {
+    daysOpen: 'data-days-open',
+    approvals: 'data-approvals',
+    status: 'data-status',
+    author: 'data-pr-author',
+    issue: 'data-issue'
+};
+
+// Columns sorted highest first on the first click
+var DESCENDING_FIRST = ['daysOpen', 'approvals'];
+
+// Statuses from closest to merge to furthest
+var STATUS_SORT_ORDER = ['ready_to_merge', 'checks_pending', 'needs_review', 'changes_requested',
+    'checks_failing', 'conflicts', 'blocked'];
+
+// Function to get URL query parameters
+function getUrlParams() {
+    var params = {};
+    var queryString = window.location.search;
+
+    if (queryString) {
+        var urlParams = new URLSearchParams(queryString);
+        urlParams.forEach(function(value, key) {
+            params[key] = value;
+        });
+    }
+    return params;
+}
+
+// Enhanced filterTable function that updates the URL and applies filtering
+function filterTable(filterValue) {
+    console.log("Filtering for:", filterValue);
+
+    // Update the URL with the filter parameter if it's not 'all'
+    if (filterValue !== 'all') {
+        // Use replaceState to update URL without adding to browser history
+        var newUrl = new URL(window.location.href);
+        if (currentView === 'reviewers') {
+            newUrl.searchParams.set('reviewer', filterValue);
+            newUrl.searchParams.delete('author');
+        } else {
+            newUrl.searchParams.set('author', filterValue);
+            newUrl.searchParams.delete('reviewer');
+        }
+        window.history.replaceState({}, '', newUrl);
+        console.log("Updated URL with filter param:", filterValue);
+    } else {
+        // Remove the filter parameters if 'all' is selected
+        var newUrl = new URL(window.location.href);
+        if (currentView === 'reviewers') {
+            newUrl.searchParams.delete('reviewer');
+        } else {
+            newUrl.searchParams.delete('author');
+        }
+        window.history.replaceState({}, '', newUrl);
+        console.log("Removed filter param from URL");
+    }
+
+    // Apply filtering to the table rows based on current view
+    var rowSelector = currentView === 'reviewers' ? '.reviewer-row' : '.author-row';
+    var dataAttr = currentView === 'reviewers' ? 'data-reviewer' : 'data-author';
+
+    var rows = document.querySelectorAll(rowSelector);
+    rows.forEach(function(row) {
+        var shouldShow = (filterValue === 'all' ||
+            row.getAttribute(dataAttr).toLowerCase() === filterValue.toLowerCase());
+        row.style.display = shouldShow ? '' : 'none';
+        console.log("Row:", row.getAttribute(dataAttr),
+            "Display:", shouldShow ? 'showing' : 'hidden');
+    });
+}
+
+// Function to apply filter from URL if present (case-insensitive)
+function applyFilterFromUrl() {
+    var params = getUrlParams();
+
+    if (currentView === 'reviewers' && params.reviewer) {
+        var reviewerParam = params.reviewer.toLowerCase();
+        console.log("Found reviewer param:", reviewerParam);
+
+        // Find matching radio button (case-insensitive)
+        var found = false;
+        var filterRadios = document.querySelectorAll('input[name="reviewerFilter"]');
+
+        filterRadios.forEach(function(radio) {
+            if (radio.value.toLowerCase() === reviewerParam) {
+                console.log("Found radio button for reviewer:", radio.value);
+                // Select this radio button
+                radio.checked = true;
+
+                // Apply the filter
+                filterTable(radio.value);
+                found = true;
+            }
+        });
+
+        if (!found) {
+            console.log("No matching reviewer found for:", reviewerParam);
+        }
+    } else if (currentView === 'authors' && params.author) {
+        var authorParam = params.author.toLowerCase();
+        console.log("Found author param:", authorParam);
+
+        // Find matching radio button (case-insensitive)
+        var found = false;
+        var filterRadios = document.querySelectorAll('input[name="authorFilter"]');
+
+        filterRadios.forEach(function(radio) {
+            if (radio.value.toLowerCase() === authorParam) {
+                console.log("Found radio button for author:", radio.value);
+                // Select this radio button
+                radio.checked = true;
+
+                // Apply the filter
+                filterTable(radio.value);
+                found = true;
+            }
+        });
+
+        if (!found) {
+            console.log("No matching author found for:", authorParam);
+        }
+    }
+}
+
+// Show only the PRs of one repository ('all' for every repository) and keep it in the URL
+function filterByRepo(repo) {
+    document.querySelectorAll('tr[data-repo]').forEach(function(row) {
+        if (repo === 'all' || row.getAttribute('data-repo') === repo) {
+            row.classList.remove('repo-hidden');
+        } else {
+            row.classList.add('repo-hidden');
+        }
+    });
+
+    var newUrl = new URL(window.location.href);
+    if (repo === 'all') {
+        newUrl.searchParams.delete('repo');
+    } else {
+        newUrl.searchParams.set('repo', repo);
+    }
+    window.history.replaceState({}, '', newUrl);
+}
+
+// Show only the PRs with one label ('all' for every PR) and keep it in the URL
+function filterByLabel(label) {
+    document.querySelectorAll('tr[data-labels]').forEach(function(row) {
+        if (label === 'all' || JSON.parse(row.getAttribute('data-labels')).indexOf(label) !== -1) {
+            row.classList.remove('label-hidden');
+        } else {
+            row.classList.add('label-hidden');
+        }
+    });
+
+    var newUrl = new URL(window.location.href);
+    if (label === 'all') {
+        newUrl.searchParams.delete('label');
+    } else {
+        newUrl.searchParams.set('label', label);
+    }
+    window.history.replaceState({}, '', newUrl);
+}
+
+// Show only the PR rows whose title, number, issue keys or logins contain the text, and keep it in the URL
+function searchPrs(text) {
+    var query = text.trim().toLowerCase();
+    document.querySelectorAll('tr[data-search]').forEach(function(row) {
+        if (!query || row.getAttribute('data-search').indexOf(query) !== -1) {
+            row.classList.remove('search-hidden');
+        } else {
+            row.classList.add('search-hidden');
+        }
+    });
+
+    var newUrl = new URL(window.location.href);
+    if (query) {
+        newUrl.searchParams.set('q', text.trim());
+    } else {
+        newUrl.searchParams.delete('q');
+    }
+    window.history.replaceState({}, '', newUrl);
+}
+
+// Compare two PR rows by one column; rows without a linked issue always go last
+function comparePrRows(a, b, key, ascending) {
+    var valueA = a.getAttribute(SORT_ATTRIBUTES[key]);
+    var valueB = b.getAttribute(SORT_ATTRIBUTES[key]);
+    var result;
+    if (key === 'issue' && (!valueA || !valueB)) {
+        return (valueA ? 0 : 1) - (valueB ? 0 : 1);
+    }
+    if (key === 'daysOpen' || key === 'approvals') {
+        result = Number(valueA) - Number(valueB);
+    } else if (key === 'status') {
+        result = STATUS_SORT_ORDER.indexOf(valueA) - STATUS_SORT_ORDER.indexOf(valueB);
+    } else {
+        result = valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' });
+    }
+    return ascending ? result : -result;
+}
+
+// Sort the rows of every PR table (key null restores the report's order) and keep it in the URL
+function sortPrTables(key, ascending) {
+    prSort = { key: key, ascending: ascending };
+
+    document.querySelectorAll('.reviewer-pr-table, .author-pr-table, .all-pr-table').forEach(function(table) {
+        var rows = Array.prototype.slice.call(table.querySelectorAll('tr.pr-detail-row'));
+        if (rows.length === 0) return;
+        rows.sort(function(a, b) {
+            return (key ? comparePrRows(a, b, key, ascending) : 0) ||
+                Number(a.getAttribute('data-order')) - Number(b.getAttribute('data-order'));
+        });
+        var parent = rows[0].parentNode;
+        rows.forEach(function(row) {
+            parent.appendChild(row);
+        });
+    });
+
+    document.querySelectorAll('th.sortable').forEach(function(header) {
+        header.classList.remove('sorted-asc', 'sorted-desc');
+        if (header.getAttribute('data-sort') === key) {
+            header.classList.add(ascending ? 'sorted-asc' : 'sorted-desc');
+        }
+    });
+
+    var newUrl = new URL(window.location.href);
+    if (key) {
+        newUrl.searchParams.set('sort', key);
+        newUrl.searchParams.set('order', ascending ? 'asc' : 'desc');
+    } else {
+        newUrl.searchParams.delete('sort');
+        newUrl.searchParams.delete('order');
+    }
+    window.history.replaceState({}, '', newUrl);
+}
+
+// Header click: sort by the column, reverse on the second click, back to the report's order on the third
+function toggleColumnSort(key) {
+    var firstAscending = DESCENDING_FIRST.indexOf(key) === -1;
+    if (prSort.key !== key) {
+        sortPrTables(key, firstAscending);
+    } else if (prSort.ascending === firstAscending) {
+        sortPrTables(key, !firstAscending);
+    } else {
+        sortPrTables(null, false);
+    }
+}
+
+function filterByStatus(filterType) {
+    // My Queue and All PRs have no chart of their own - the Report radio returns to them
+    if (currentView === 'queue') {
+        showQueue();
+        return;
+    }
+    if (currentView === 'all') {
+        showAllPrs();
+        return;
+    }
+
+    // Hide chart if it's visible and we're switching to a non-chart filter
+    if (filterType !== 'chart') {
+        var chartContainer = document.getElementById('chart-container');
+        var mainTable = currentView === 'reviewers' ?
+                        document.querySelector('.reviewer-table') :
+                        document.querySelector('.author-table');
+        var radioContainer = document.querySelector('.radio-container');
+
+        // Show the regular view
+        chartContainer.style.display = 'none';
+        document.getElementById('trends-container').style.display = 'none';
+        document.getElementById(currentView + '-view').classList.remove('hidden');
+        mainTable.style.display = 'table';
+        radioContainer.style.display = 'block';
+
+        // Show PR details
+        var selector = currentView === 'reviewers' ?
+                       '.reviewer-row.pr-row-table' :
+                       '.author-row.pr-row-table';
+        var prRowTables = document.querySelectorAll(selector);
+        prRowTables.forEach(function(prRowTable) {
+            prRowTable.classList.remove('hidden');
+        });
+    }
+
+    // For 'all' (Report view), show all PRs with pending highlight for pending PRs
+    if (filterType === 'all') {
+        var detailRows = document.querySelectorAll('tr.pr-detail-row');
+        detailRows.forEach(function(row) {
+            if (currentView === 'reviewers') {
+                var isPending = row.hasAttribute('data-pending') &&
+                    row.getAttribute('data-pending') === 'true';
+                if (isPending) {
+                    row.classList.add('pending-review');
+                } else {
+                    row.classList.remove('pending-review');
+                }
+            } else {
+                // In author view, we don't highlight pending rows
+                row.classList.remove('pending-review');
+            }
+            row.style.display = '';
+        });
+
+        // Reapply the current filter
+        var filterName = currentView === 'reviewers' ?
+            'reviewerFilter' : 'authorFilter';
+        var selectedFilter = document.querySelector(
+            'input[name="' + filterName + '"]:checked').value;
+        filterTable(selectedFilter);
+    }
+}
+
+function toggleDetails() {
+    var chartRadio = document.getElementById('show-chart');
+    var chartContainer = document.getElementById('chart-container');
+    var mainTable = currentView === 'reviewers' ?
+                    document.querySelector('.reviewer-table') :
+                    document.querySelector('.author-table');
+    var selector = currentView === 'reviewers' ?
+                   '.reviewer-row.pr-row-table' :
+                   '.author-row.pr-row-table';
+    var prRowTables = document.querySelectorAll(selector);
+    var radioContainer = document.querySelector('.radio-container');
+
+    // When chart mode is enabled
+    if (chartRadio.checked) {
+        // Show only the chart
+        chartContainer.style.display = 'block';
+        document.getElementById('queue-view').classList.add('hidden');
+        document.getElementById('all-view').classList.add('hidden');
+        document.getElementById('trends-container').style.display = 'none';
+        mainTable.style.display = 'none';
+        radioContainer.style.display = 'none';
+
+        // Ensure PR details are hidden
+        prRowTables.forEach(function(prRowTable) {
+            prRowTable.classList.add('hidden');
+        });
+
+        // Draw the appropriate chart
+        if (currentView === 'reviewers') {
+            drawHorizontalChart('reviewers');
+        } else {
+            drawHorizontalChart('authors');
+        }
+    } else {
+        // Only option now is the "Report" view (all)
+        filterByStatus('all');
+    }
+}
+
+function toggleLegend() {
+    var legend = document.getElementById('legend');
+    if (legend.classList.contains('hidden')) {
+        legend.classList.remove('hidden');
+        document.getElementById('toggleLegendBtn').textContent = 'Hide Legend';
+    } else {
+        legend.classList.add('hidden');
+        document.getElementById('toggleLegendBtn').textContent = 'Show Legend';
+    }
+}
+
+function switchView(view) {
+    // The login stays in the URL only while My Queue is shown, ?view=all and its filters only while All PRs is
+    var newUrl = new URL(window.location.href);
+    if (currentView === 'queue' && view !== 'queue') {
+        newUrl.searchParams.delete('me');
+    }
+    if (currentView === 'all' && view !== 'all') {
+        ['view', 'status', 'draft', 'reviewers'].forEach(function(param) {
+            newUrl.searchParams.delete(param);
+        });
+    }
+    if (view === 'all') {
+        newUrl.searchParams.set('view', 'all');
+    }
+    window.history.replaceState({}, '', newUrl);
+
+    currentView = view;
+    document.getElementById('queue-view').classList.add('hidden');
+    document.getElementById('all-view').classList.add('hidden');
+
+    // Update active button styling
+    document.querySelectorAll('.view-btn').forEach(function(btn) {
+        btn.classList.remove('active');
+    });
+    document.getElementById(view + '-view-btn').classList.add('active');
+
+    // Show/hide the Ready to Merge elements based on the view
+    var readyLink = document.getElementById('ready-to-merge-link');
+    var readySection = document.getElementById('ready-section');
+    var readyTable = document.getElementById('ready-table');
+
+    if (view === 'authors') {
+        // Show Ready to Merge elements in Authors' view
+        if (readyLink) readyLink.style.display = 'inline-block';
+        if (readySection) readySection.style.display = 'flex';
+        if (readyTable) readyTable.style.display = 'table';
+    } else {
+        // Hide Ready to Merge elements in Reviewers' view
+        if (readyLink) readyLink.style.display = 'none';
+        if (readySection) readySection.style.display = 'none';
+        if (readyTable) readyTable.style.display = 'none';
+    }
+
+    // Needs Reviewers is shown in Reviewers' View only
+    var needsReviewersDisplay = view === 'reviewers' ? '' : 'none';
+    ['needs-reviewers-link', 'needs-reviewers-section', 'needs-reviewers-table'].forEach(function(id) {
+        var element = document.getElementById(id);
+        if (element) element.style.display = needsReviewersDisplay;
+    });
+
+    // Trends don't depend on the view - keep showing them
+    if (document.getElementById('show-trends').checked) {
+        showTrends();
+        return;
+    }
+
+    // My Queue and All PRs are always shown as a table
+    if (view === 'queue') {
+        document.getElementById('show-all-prs').checked = true;
+        showQueue();
+        return;
+    }
+    if (view === 'all') {
+        document.getElementById('show-all-prs').checked = true;
+        showAllPrs();
+        return;
+    }
+
+    // Check if we're in chart mode
+    var isChartMode = document.getElementById('show-chart').checked;
+
+    if (isChartMode) {
+        // If in chart mode, just update the chart for the new view
+        var chartContainer = document.getElementById('chart-container');
+
+        // Make sure chart is visible
+        chartContainer.style.display = 'block';
+
+        // Hide all table views
+        document.getElementById('reviewers-view').classList.add('hidden');
+        document.getElementById('authors-view').classList.add('hidden');
+
+        // Draw the appropriate chart for the new view
+        if (view === 'reviewers') {
+            drawHorizontalChart('reviewers');
+        } else {
+            drawHorizontalChart('authors');
+        }
+    } else {
+        // In table mode, switch the visible view
+        // Hide all views
+        document.getElementById('reviewers-view').classList.add('hidden');
+        document.getElementById('authors-view').classList.add('hidden');
+
+        // Show selected view
+        document.getElementById(view + '-view').classList.remove('hidden');
+
+        // Apply filter from URL
+        applyFilterFromUrl();
+    }
+}
+
+// Draw the horizontal bar chart
+function drawHorizontalChart(chartType) {
+    var chartContainer = document.getElementById('horizontal-chart');
+    chartContainer.innerHTML = ''; // Clear existing content
+
+    // Get chart data based on type
+    var chartData;
+    if (chartType === 'reviewers') {
+        chartData = reviewerChartData;
+        document.getElementById('chart-title').textContent =
+            'Pending Reviews by Reviewer';
+    } else {
+        // For authors, we use author data
+        chartData = [];
+        // Convert author data to chart data format
+        Object.entries(authorData).forEach(function(entry) {
+            var author = entry[0];
+            var data = entry[1];
+            if (data.count > 0) {
+                chartData.push({ author: author, count: data.count });
+            }
+        });
+        document.getElementById('chart-title').textContent =
+            'Pull Requests by Author';
+    }
+
+    // The response time sort only applies to the reviewer chart
+    document.getElementById('toggle-sort-metric').style.display =
+        chartType === 'reviewers' ? '' : 'none';
+
+    // Sort data based on current sort direction
+    if (chartType === 'reviewers' && sortMetric === 'response') {
+        // Fastest median response first (slowest first when ascending), no data last
+        chartData.sort(function(a, b) {
+            if (a.medianResponseHours === null) return b.medianResponseHours === null ? 0 : 1;
+            if (b.medianResponseHours === null) return -1;
+            return sortAscending ?
+                b.medianResponseHours - a.medianResponseHours :
+                a.medianResponseHours - b.medianResponseHours;
+        });
+    } else if (sortAscending) {
+        if (chartType === 'reviewers') {
+            chartData.sort(function(a, b) {
+                return a.pending - b.pending;
+            }); // Ascending (lowest first)
+        } else {
+            chartData.sort(function(a, b) {
+                return a.count - b.count;
+            }); // Ascending (lowest first)
+        }
+    } else {
+        if (chartType === 'reviewers') {
+            chartData.sort(function(a, b) {
+                return b.pending - a.pending;
+            }); // Descending (highest first)
+        } else {
+            chartData.sort(function(a, b) {
+                return b.count - a.count;
+            }); // Descending (highest first)
+        }
+    }
+
+    // Find the maximum value to calculate bar widths
+    var maxValue = 0;
+    chartData.forEach(function(item) {
+        var val = chartType === 'reviewers' ? item.pending : item.count;
+        if (val > maxValue) maxValue = val;
+    });
+    var maxBarWidth = 800; // Maximum width for the bars in pixels
+
+    // Create and append chart rows
+    chartData.forEach(function(item) {
+        var row = document.createElement('div');
+        row.className = 'chart-row';
+
+        var label = document.createElement('div');
+        label.className = 'chart-label';
+
+        var displayName;
+        if (chartType === 'reviewers') {
+            // Get the full name for reviewers if available
+            var fullName = reviewerNames[item.reviewer] || '';
+            displayName = fullName ?
+                fullName + ' (' + item.reviewer + ')' : item.reviewer;
+            if (item.isTeam) displayName += ' [team]';
+            if (item.isAbsent) displayName += ' [OOO]';
+        } else {
+            // Get the full name for authors if available
+            var fullName = authorNames[item.author] || '';
+            displayName = fullName ?
+                fullName + ' (' + item.author + ')' : item.author;
+        }
+
+        label.textContent = displayName;
+        label.title = displayName; // Add tooltip for truncated names
+
+        var barContainer = document.createElement('div');
+        barContainer.style.flex = '1';
+
+        var bar = document.createElement('div');
+        bar.className = chartType === 'reviewers' ?
+            'chart-bar' : 'chart-bar author-chart-bar';
+        if (item.isTeam) bar.className += ' team-chart-bar';
+        if (item.isAbsent) bar.className += ' absent-chart-bar';
+        var value = chartType === 'reviewers' ? item.pending : item.count;
+        var width = (value / maxValue) * maxBarWidth;
+        bar.style.width = width + 'px';
+
+        var valueDisplay = document.createElement('div');
+        valueDisplay.className = chartType === 'reviewers' ?
+            'chart-value' : 'chart-value author-chart-value';
+        valueDisplay.textContent = value;
+        if (chartType === 'reviewers' && sortMetric === 'response') {
+            valueDisplay.textContent = value + ' pending, median response ' +
+                (item.medianResponse || 'n/a');
+        }
+
+        bar.appendChild(valueDisplay);
+        barContainer.appendChild(bar);
+
+        row.appendChild(label);
+        row.appendChild(barContainer);
+
+        chartContainer.appendChild(row);
+    });
+}
+
+// Read the remembered My Queue login (localStorage can be unavailable, e.g. for file:// pages)
+function getStoredLogin() {
+    try {
+        return localStorage.getItem(QUEUE_LOGIN_KEY) || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+function storeLogin(login) {
+    try {
+        if (login) {
+            localStorage.setItem(QUEUE_LOGIN_KEY, login);
+        } else {
+            localStorage.removeItem(QUEUE_LOGIN_KEY);
+        }
+    } catch (e) {
+        console.log("Could not remember the login:", e);
+    }
+}
+
+// Show the My Queue view in place of the tables, the bar chart and the trends
+function showQueue() {
+    document.getElementById('chart-container').style.display = 'none';
+    document.getElementById('trends-container').style.display = 'none';
+    document.getElementById('reviewers-view').classList.add('hidden');
+    document.getElementById('authors-view').classList.add('hidden');
+    document.getElementById('queue-view').classList.remove('hidden');
+
+    var loginInput = document.getElementById('queue-login');
+    if (!loginInput.value) {
+        loginInput.value = getStoredLogin();
+    }
+    renderQueue(loginInput.value);
+}
+
+// Append a text cell to a table row
+function addCell(row, text, className, title) {
+    var cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) cell.className = className;
+    cell.title = title || text;
+    row.appendChild(cell);
+    return cell;
+}
+
+// Render the queue of one login, remember the login and keep it in the URL (?me=login)
+function renderQueue(login) {
+    login = login.trim();
+    storeLogin(login);
+
+    var newUrl = new URL(window.location.href);
+    if (login) {
+        newUrl.searchParams.set('me', login);
+    } else {
+        newUrl.searchParams.delete('me');
+    }
+    window.history.replaceState({}, '', newUrl);
+
+    var queueBody = document.getElementById('queue-body');
+    var summary = document.getElementById('queue-summary');
+    queueBody.innerHTML = '';
+
+    if (!login) {
+        summary.textContent = 'Enter your GitHub login to see the PRs waiting on you.';
+        return;
+    }
+
+    var queue = queueData[login.toLowerCase()] || [];
+    var counts = { review: 0, needs_action: 0, ready_to_merge: 0 };
+    queue.forEach(function(item) {
+        counts[item.reason] += 1;
+    });
+    summary.textContent = queue.length === 0 ? 'Nothing is waiting on ' + login + '.' :
+        counts.review + ' reviews requested, ' + counts.needs_action + ' of your PRs need action, ' +
+        counts.ready_to_merge + ' ready to merge';
+
+    // The repository column and filter only exist when the report covers several repositories
+    var repoFilter = document.getElementById('repo-filter');
+    var repo = repoFilter ? repoFilter.value : 'all';
+    // The label filter only exists when any PR has labels
+    var labelFilter = document.getElementById('label-filter');
+    var label = labelFilter ? labelFilter.value : 'all';
+
+    queue.forEach(function(item) {
+        var row = document.createElement('tr');
+        row.className = 'pr-detail-row queue-' + item.reason.replace(/_/g, '-');
+        row.setAttribute('data-id', item.id);
+        row.setAttribute('data-repo', item.repository);
+        row.setAttribute('data-labels', JSON.stringify(item.labels));
+        if (repo !== 'all' && item.repository !== repo) {
+            row.classList.add('repo-hidden');
+        }
+        if (label !== 'all' && item.labels.indexOf(label) === -1) {
+            row.classList.add('label-hidden');
+        }
+
+        addCell(row, item.reasonText, 'queue-reason');
+
+        var prCell = document.createElement('td');
+        if (item.isDraft) {
+            var draftBadge = document.createElement('div');
+            draftBadge.className = 'draft-badge';
+            draftBadge.textContent = 'DRAFT';
+            prCell.appendChild(draftBadge);
+        }
+        var link = document.createElement('a');
+        link.className = 'pr-link';
+        link.href = item.url;
+        link.title = item.title;
+        link.textContent = item.title;
+        prCell.appendChild(link);
+        row.appendChild(prCell);
+
+        addCell(row, item.author);
+        addCell(row, item.daysOpen, '', item.daysOpenTitle).style.color = item.daysOpenColor;
+        addCell(row, item.approvals);
+        addCell(row, item.statusText, item.statusClass, item.statusDetail);
+        addCell(row, item.checksText, item.checksClass);
+        if (repoFilter) {
+            addCell(row, item.repository);
+        }
+
+        queueBody.appendChild(row);
+    });
+    // The login decides which review requests are new
+    highlightChanges();
+}
+
+// Show the All PRs view in place of the per-person tables
+function showAllPrs() {
+    document.getElementById('chart-container').style.display = 'none';
+    document.getElementById('trends-container').style.display = 'none';
+    document.getElementById('reviewers-view').classList.add('hidden');
+    document.getElementById('authors-view').classList.add('hidden');
+    document.getElementById('all-view').classList.remove('hidden');
+    filterAllPrs();
+}
+
+// Values checked in one of the All PRs checkbox filters
+function checkedValues(name) {
+    return Array.prototype.map.call(document.querySelectorAll('input[name="' + name + '"]:checked'), function(input) {
+        return input.value;
+    });
+}
+
+// Apply the All PRs status, draft and reviewer filters and keep them in the URL (only when they filter anything)
+function filterAllPrs() {
+    var statuses = checkedValues('allStatus');
+    var drafts = checkedValues('allDraft');
+    var reviewers = Array.prototype.map.call(document.getElementById('all-reviewer-filter').selectedOptions,
+        function(option) {
+            return option.value;
+        });
+
+    var rows = document.querySelectorAll('.all-pr-table tr.pr-detail-row');
+    var shown = 0;
+    rows.forEach(function(row) {
+        var prReviewers = JSON.parse(row.getAttribute('data-reviewers'));
+        var matches = statuses.indexOf(row.getAttribute('data-status')) !== -1 &&
+            drafts.indexOf(row.getAttribute('data-draft')) !== -1 &&
+            (reviewers.length === 0 || reviewers.some(function(reviewer) {
+                return prReviewers.indexOf(reviewer) !== -1;
+            }));
+        if (matches) {
+            row.classList.remove('all-hidden');
+            shown++;
+        } else {
+            row.classList.add('all-hidden');
+        }
+    });
+    document.getElementById('all-summary').textContent = shown + ' of ' + rows.length + ' open PRs';
+
+    var newUrl = new URL(window.location.href);
+    var allStatuses = document.querySelectorAll('input[name="allStatus"]').length;
+    [['status', statuses, statuses.length === allStatuses], ['draft', drafts, drafts.length === 2],
+        ['reviewers', reviewers, reviewers.length === 0]].forEach(function(param) {
+        if (param[2]) {
+            newUrl.searchParams.delete(param[0]);
+        } else {
+            newUrl.searchParams.set(param[0], param[1].join(','));
+        }
+    });
+    window.history.replaceState({}, '', newUrl);
+}
+
+// Restore the All PRs filters from ?status=, ?draft= and ?reviewers= (comma-separated values)
+function applyAllPrsFiltersFromUrl() {
+    var params = getUrlParams();
+    [['allStatus', params.status], ['allDraft', params.draft]].forEach(function(filter) {
+        if (filter[1] === undefined) return;
+        var values = filter[1].split(',');
+        document.querySelectorAll('input[name="' + filter[0] + '"]').forEach(function(input) {
+            input.checked = values.indexOf(input.value) !== -1;
+        });
+    });
+    if (params.reviewers) {
+        var reviewers = params.reviewers.toLowerCase().split(',');
+        Array.prototype.forEach.call(document.getElementById('all-reviewer-filter').options, function(option) {
+            option.selected = reviewers.indexOf(option.value.toLowerCase()) !== -1;
+        });
+    }
+}
+
+// Show the Trends view in place of the tables and the bar chart
+function showTrends() {
+    document.getElementById('chart-container').style.display = 'none';
+    document.getElementById('reviewers-view').classList.add('hidden');
+    document.getElementById('authors-view').classList.add('hidden');
+    document.getElementById('queue-view').classList.add('hidden');
+    document.getElementById('all-view').classList.add('hidden');
+    document.getElementById('trends-container').style.display = 'block';
+    drawTrends();
+}
+
+// Draw a line chart (SVG) of one or more series over the report runs
+// series: [{ label: '...', values: [number|null, ...] }] aligned with trendData
+function drawLineChart(containerId, series) {
+    var container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    if (trendData.length < 2) {
+        container.textContent = 'Not enough history yet - trends appear after the next report run.';
+        return;
+    }
+
+    var svgNs = 'http://www.w3.org/2000/svg';
+    var width = 900, height = 200, padding = 40;
+    var colors = ['#ff9800', '#1e90ff', '#4caf50', '#9370DB', '#f44336', '#ffeb3b', '#00bcd4', '#e91e63'];
+
+    // Scale the x axis by time and the y axis by the largest value
+    var times = trendData.map(function(entry) { return new Date(entry.t).getTime(); });
+    var minTime = times[0];
+    var timeRange = Math.max(times[times.length - 1] - minTime, 1);
+    var maxValue = 1;
+    series.forEach(function(s) {
+        s.values.forEach(function(value) {
+            if (value !== null && value > maxValue) maxValue = value;
+        });
+    });
+
+    var svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+
+    function addText(x, y, text, anchor) {
+        var label = document.createElementNS(svgNs, 'text');
+        label.setAttribute('x', x);
+        label.setAttribute('y', y);
+        label.setAttribute('text-anchor', anchor);
+        label.textContent = text;
+        svg.appendChild(label);
+    }
+
+    // Axes labels: max/zero on the y axis, first/last run date on the x axis
+    addText(padding - 5, padding, Math.round(maxValue * 10) / 10, 'end');
+    addText(padding - 5, height - padding, 0, 'end');
+    addText(padding, height - padding + 15, new Date(times[0]).toLocaleDateString(), 'start');
+    addText(width - padding, height - padding + 15, new Date(times[times.length - 1]).toLocaleDateString(), 'end');
+
+    var axis = document.createElementNS(svgNs, 'polyline');
+    axis.setAttribute('points', padding + ',' + padding + ' ' + padding + ',' + (height - padding) + ' ' + (width - padding) + ',' + (height - padding));
+    axis.setAttribute('fill', 'none');
+    axis.setAttribute('stroke', '#555');
+    svg.appendChild(axis);
+
+    var legend = document.createElement('div');
+    legend.className = 'trend-legend';
+
+    series.forEach(function(s, index) {
+        var color = colors[index % colors.length];
+        var points = [];
+        s.values.forEach(function(value, i) {
+            if (value === null) return;
+            var x = padding + (times[i] - minTime) / timeRange * (width - 2 * padding);
+            var y = height - padding - value / maxValue * (height - 2 * padding);
+            points.push(x.toFixed(1) + ',' + y.toFixed(1));
+        });
+
+        var line = document.createElementNS(svgNs, 'polyline');
+        line.setAttribute('points', points.join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', color);
+        line.setAttribute('stroke-width', 2);
+        svg.appendChild(line);
+
+        if (series.length > 1) {
+            var item = document.createElement('span');
+            item.style.color = color;
+            item.textContent = s.label;
+            legend.appendChild(item);
+        }
+    });
+
+    container.appendChild(svg);
+    container.appendChild(legend);
+}
+
+// Draw the open PR count, pending reviews per reviewer and median days to approval of open PRs
+function drawTrends() {
+    if (trendData.length > 0) {
+        document.getElementById('trends-note').textContent = '(' + trendData.length + ' report runs since ' + new Date(trendData[0].t).toLocaleDateString() + ')';
+    }
+
+    drawLineChart('trend-open-prs', [{
+        label: 'Open PRs',
+        values: trendData.map(function(entry) { return entry.openPRs; })
+    }]);
+
+    // Only chart the reviewers with the highest peak pending count
+    var peakPending = {};
+    trendData.forEach(function(entry) {
+        Object.keys(entry.reviewers).forEach(function(reviewer) {
+            peakPending[reviewer] = Math.max(peakPending[reviewer] || 0, entry.reviewers[reviewer]);
+        });
+    });
+    var topReviewers = Object.keys(peakPending).sort(function(a, b) {
+        return peakPending[b] - peakPending[a];
+    }).slice(0, 8);
+    drawLineChart('trend-pending', topReviewers.map(function(reviewer) {
+        return {
+            label: reviewerNames[reviewer] || reviewer,
+            values: trendData.map(function(entry) { return entry.reviewers[reviewer] || 0; })
+        };
+    }));
+
+    drawLineChart('trend-approval', [{
+        label: 'Median days to approval of open PRs',
+        values: trendData.map(function(entry) { return entry.medianDaysToApproval; })
+    }]);
+}
+
+// Function to toggle sort order
+function toggleSortOrder() {
+    sortAscending = !sortAscending;
+    var toggleButton = document.getElementById('toggle-sort');
+    toggleButton.textContent = sortAscending ?
+        'Sort: Lowest First' : 'Sort: Highest First';
+
+    if (currentView === 'reviewers') {
+        drawHorizontalChart('reviewers');
+    } else {
+        drawHorizontalChart('authors');
+    }
+}
+
+// Function to switch the reviewer chart between sorting by pending count and response time
+function toggleSortMetric() {
+    sortMetric = sortMetric === 'pending' ? 'response' : 'pending';
+    document.getElementById('toggle-sort-metric').textContent = sortMetric === 'pending' ?
+        'Sort By: Pending Reviews' : 'Sort By: Response Time';
+    drawHorizontalChart('reviewers');
+}
+
+// Restore the filters, the sort and the view from the URL once the tables are rendered
+function applyUrlState() {
+    var params = getUrlParams();
+
+    // Set default to show all PRs (report view)
+    filterByStatus('all');
+
+    // Repository filter (only present when the report covers several repositories)
+    var repoFilter = document.getElementById('repo-filter');
+    if (repoFilter) {
+        var hasRepo = Array.prototype.some.call(repoFilter.options, function(option) {
+            return option.value === params.repo;
+        });
+        if (params.repo && hasRepo) {
+            repoFilter.value = params.repo;
+            filterByRepo(params.repo);
+        }
+    }
+
+    // Label filter (only has options when any PR has labels)
+    var labelFilter = document.getElementById('label-filter');
+    var hasLabel = Array.prototype.some.call(labelFilter.options, function(option) {
+        return option.value === params.label;
+    });
+    if (params.label && hasLabel) {
+        labelFilter.value = params.label;
+        filterByLabel(params.label);
+    }
+
+    if (params.q) {
+        var searchInput = document.getElementById('pr-search');
+        searchInput.value = params.q;
+        searchPrs(searchInput.value);
+    }
+
+    if (params.sort && SORT_ATTRIBUTES.hasOwnProperty(params.sort)) {
+        sortPrTables(params.sort, params.order === 'asc');
+    }
+
+    applyAllPrsFiltersFromUrl();
+
+    // Default to the reviewers view, then open the view the URL asks for
+    switchView('reviewers');
+    // If we have author filter, switch to authors view
+    if (params.author) {
+        switchView('authors');
+    }
+    // ?view=all opens All PRs
+    if (params.view === 'all') {
+        switchView('all');
+    }
+    // ?me=login opens that login's queue (and remembers the login)
+    if (params.me) {
+        document.getElementById('queue-login').value = params.me;
+        switchView('queue');
+    }
+    // Apply filters based on parameters
+    applyFilterFromUrl();
+}
+
+// Re-apply the filters, sort and view to tables rendered again from a newer report
+function reapplyViewState() {
+    var repoFilter = document.getElementById('repo-filter');
+    if (repoFilter) {
+        filterByRepo(repoFilter.value);
+    }
+    filterByLabel(document.getElementById('label-filter').value);
+    searchPrs(document.getElementById('pr-search').value);
+    sortPrTables(prSort.key, prSort.ascending);
+
+    if (document.getElementById('show-trends').checked) {
+        drawTrends();
+    } else if (document.getElementById('show-chart').checked) {
+        drawHorizontalChart(currentView);
+    } else if (currentView === 'queue') {
+        renderQueue(document.getElementById('queue-login').value);
+    } else if (currentView === 'all') {
+        filterAllPrs();
+    } else {
+        filterByStatus('all');
+    }
+}
+
+document.addEventListener("DOMContentLoaded", function() {
+    console.log("DOM content loaded");
+
+    // Add event listener for view selector buttons
+    document.querySelectorAll('.view-btn').forEach(function(btn) {
+        btn.addEventListener('click', function() {
+            switchView(this.getAttribute('data-view'));
+        });
+    });
+
+    // Set up sort toggle button
+    var toggleButton = document.getElementById('toggle-sort');
+    toggleButton.addEventListener('click', toggleSortOrder);
+    document.getElementById('toggle-sort-metric').addEventListener('click', toggleSortMetric);
+
+    // Add click handler for return to table button
+    var returnButton = document.getElementById('return-to-table');
+    returnButton.addEventListener('click', function() {
+        document.getElementById('show-all-prs').checked = true;
+        // Switch to the current view first to make sure all tables are properly shown
+        switchView(currentView);
+        // Then apply the filter
+        filterByStatus('all');
+    });
+
+    var repoFilter = document.getElementById('repo-filter');
+    if (repoFilter) {
+        repoFilter.addEventListener('change', function() {
+            filterByRepo(this.value);
+        });
+    }
+    document.getElementById('label-filter').addEventListener('change', function() {
+        filterByLabel(this.value);
+    });
+
+    // Free-text search over the PR tables
+    document.getElementById('pr-search').addEventListener('input', function() {
+        searchPrs(this.value);
+    });
+
+    // Sortable PR table columns - the tables are rendered later, so listen on the document
+    document.addEventListener('click', function(event) {
+        var header = event.target.closest('th.sortable');
+        if (header) {
+            toggleColumnSort(header.getAttribute('data-sort'));
+        }
+    });
+
+    // All PRs filters
+    document.querySelector('.all-controls').addEventListener('change', filterAllPrs);
+
+    // Show the queue of the login typed or picked in My Queue
+    document.getElementById('queue-login').addEventListener('change', function() {
+        renderQueue(this.value);
+    });
+
+    // Render the tables from the report data, restore the state kept in the URL, then keep the page current
+    loadReport().then(function() {
+        applyUrlState();
+        startLiveUpdates();
+    }).catch(function(err) {
+        console.error("Could not render the report:", err);
+    });
+});
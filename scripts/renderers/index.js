@@ -0,0 +1,71 @@
+const { renderHtml } = require('./html');
+const { renderJson } = require('./json');
+const { renderCsv } = require('./csv');
+const { renderMarkdown } = require('./markdown');
+const { renderSlack, renderTeams } = require('./chat');
+
+// Renderers by name. A renderer takes the report model returned by processData()
+// and returns the files it produces as { fileName: content }.
+const renderers = {};
+
+// Names of the renderers run when none are named
+const defaultNames = new Set();
+
+/**
+ * Register a renderer under a name, replacing any renderer of the same name.
+ * With byDefault: false it only runs when asked for by name.
+ */
+function registerRenderer(name, render, { byDefault = true } = {}) {
+    if (typeof render !== 'function') {
+        throw new Error('Renderer "' + name + '" must be a function');
+    }
+    renderers[name] = render;
+    if (byDefault) {
+        defaultNames.add(name);
+    } else {
+        defaultNames.delete(name);
+    }
+}
+
+function getRenderer(name) {
+    if (!renderers[name]) {
+        throw new Error('Unknown renderer "' + name + '" (available: ' + listRenderers().join(', ') + ')');
+    }
+    return renderers[name];
+}
+
+function listRenderers() {
+    return Object.keys(renderers);
+}
+
+function listDefaultRenderers() {
+    return listRenderers().filter((name) => defaultNames.has(name));
+}
+
+/**
+ * Run the named renderers (the default ones when no names are given) over
+ * the report model and collect their output files.
+ */
+function renderReport(model, names = listDefaultRenderers()) {
+    const files = {};
+    names.forEach((name) => {
+        Object.assign(files, getRenderer(name)(model));
+    });
+    return files;
+}
+
+registerRenderer('html', renderHtml);
+registerRenderer('json', renderJson);
+registerRenderer('csv', renderCsv);
+registerRenderer('markdown', renderMarkdown);
+// The chat digests are notify.js' webhook payloads, written only when asked for (--format slack)
+registerRenderer('slack', renderSlack, { byDefault: false });
+registerRenderer('teams', renderTeams, { byDefault: false });
+
+module.exports = {
+    registerRenderer,
+    getRenderer,
+    listRenderers,
+    listDefaultRenderers,
+    renderReport,
+};
@@ -0,0 +1,82 @@
+// Version of the report.json schema (docs/report-schema.json) - bump on breaking changes
+const REPORT_SCHEMA_VERSION = 2;
+
+const { buildQueues } = require('../my_queue');
+const { isReadyToMerge } = require('../pr_status');
+
+// Colour of every label on the open PRs, by label name
+function getLabelColors(authors) {
+    const labelColors = {};
+    Object.values(authors).forEach((data) => {
+        data.prDetails.forEach((pr) => {
+            pr.labels.forEach((label) => {
+                labelColors[label.name] = label.color;
+            });
+        });
+    });
+    return labelColors;
+}
+
+/**
+ * Build the machine-readable report written to report.json - it is also the
+ * data the HTML report renders its tables from.
+ *
+ * prs is the list of per-PR records built by processData(); reviewers and
+ * authors are the per-person breakdowns used by the HTML report. PRs are
+ * referenced by their "owner/name#number" id.
+ */
+function buildReportJson({ generatedAt, repositories, prs, reviewers, reviewerNames, teamReviewers, absentReviewers = {},
+    authors, authorNames, policy, jiraIssues = {}, trendData = [] }) {
+    const queues = {};
+    Object.entries(buildQueues({ reviewers, teamReviewers, authors })).forEach(([login, queue]) => {
+        queues[login] = queue.map(({ reason, pr }) => ({ reason, pr: pr.id }));
+    });
+
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: generatedAt.toISOString(),
+        repositories,
+        totals: {
+            openPRs: prs.length,
+            readyToMerge: prs.filter(isReadyToMerge).length,
+            pendingReviews: Object.values(reviewers).reduce((sum, data) => sum + data.pending, 0),
+        },
+        prs,
+        reviewers: Object.entries(reviewers).map(([login, data]) => ({
+            login,
+            name: reviewerNames[login] || null,
+            isTeam: !!teamReviewers[login],
+            pending: data.pending,
+            medianResponseHours: data.medianResponseHours,
+            responseCount: data.responseCount,
+            prs: data.prDetails.map((pr) => pr.id),
+            pendingPrs: data.prDetails.filter((pr) => pr.isPending).map((pr) => pr.id),
+            outOfOffice: absentReviewers[login] || null,
+        })),
+        authors: Object.entries(authors).map(([login, data]) => ({
+            login,
+            name: authorNames[login] || null,
+            count: data.count,
+            prs: data.prDetails.map((pr) => pr.id),
+        })),
+        readyToMerge: prs.filter(isReadyToMerge).map((pr) => pr.id),
+        policy,
+        jiraIssues,
+        labelColors: getLabelColors(authors),
+        queues,
+        trends: trendData,
+    };
+}
+
+/**
+ * Render the report model as report.json.
+ */
+function renderJson(model) {
+    return { 'report.json': JSON.stringify(buildReportJson(model), null, 2) };
+}
+
+module.exports = {
+    REPORT_SCHEMA_VERSION,
+    buildReportJson,
+    renderJson,
+};
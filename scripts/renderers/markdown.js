@@ -0,0 +1,106 @@
+const { fullName } = require('../repositories');
+const { getStatusLabel, getChecksLabel } = require('../pr_status');
+
+// Longest list rendered in one section - job summaries and issue comments have size limits
+const MAX_ROWS = 25;
+
+// Number of reviewers listed under "Top pending reviewers"
+const TOP_REVIEWERS = 10;
+
+// Escape text for a Markdown table cell. GitHub renders inline HTML in
+// Markdown, so HTML special characters are escaped as entities as well.
+function escapeMarkdown(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/([\\`*_[\]|~])/g, '\\$1')
+        .replace(/[\r\n]+/g, ' ');
+}
+
+function prLink(pr) {
+    return '[' + escapeMarkdown(pr.title) + '](' + pr.url + ')';
+}
+
+function table(headers, rows) {
+    return '| ' + headers.join(' | ') + ' |\n' +
+        '|' + headers.map(() => ' --- |').join('') + '\n' +
+        rows.map((row) => '| ' + row.join(' | ') + ' |\n').join('');
+}
+
+// A table of at most MAX_ROWS rows, noting how many rows were left out
+function section(title, headers, rows, emptyText) {
+    let markdown = '### ' + title + '\n\n';
+    if (rows.length === 0) return markdown + emptyText + '\n\n';
+
+    markdown += table(headers, rows.slice(0, MAX_ROWS));
+    if (rows.length > MAX_ROWS) {
+        markdown += '\n_...and ' + (rows.length - MAX_ROWS) + ' more._\n';
+    }
+    return markdown + '\n';
+}
+
+/**
+ * Render a short Markdown summary of the report model - PRs ready to merge,
+ * the reviewers with the most pending reviews and PRs past the red aging
+ * threshold - for GitHub job summaries and issue comments.
+ */
+function renderMarkdown(model) {
+    const { repositories, generatedAt, policy, prs, readyToMergePRs, reviewerChartData, reviewerNames, absentReviewers } = model;
+    const multiRepo = repositories.length > 1;
+    const aging = policy.aging;
+    const repoPrefix = (pr) => multiRepo ? escapeMarkdown(pr.repository) + ' ' : '';
+
+    let markdown = '## Open Pull Requests: ' + escapeMarkdown(repositories.map(fullName).join(', ')) + '\n\n' +
+        '**' + prs.length + '** open, **' + readyToMergePRs.length + '** ready to merge, **' +
+        reviewerChartData.reduce((sum, item) => sum + item.pending, 0) + '** pending reviews ' +
+        '(generated ' + generatedAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC)\n\n';
+
+    const readyRows = [...readyToMergePRs]
+        .sort((a, b) => b.daysOpen - a.daysOpen)
+        .map((pr) => [
+            repoPrefix(pr) + prLink(pr) + (pr.isDraft ? ' (draft)' : ''),
+            escapeMarkdown(pr.author),
+            pr.daysOpen,
+            pr.approvals + '/' + pr.requiredApprovals,
+            getChecksLabel(pr.checkStatus),
+        ]);
+    markdown += section('Ready to merge (' + readyRows.length + ')',
+        ['Pull Request', 'Author', 'Days Open', 'Approvals', 'Checks'], readyRows,
+        'No pull requests are currently ready to merge.');
+
+    const reviewerRows = [...reviewerChartData]
+        .sort((a, b) => b.pending - a.pending)
+        .slice(0, TOP_REVIEWERS)
+        .map((item) => [
+            escapeMarkdown(reviewerNames[item.reviewer] ?
+                reviewerNames[item.reviewer] + ' (' + item.reviewer + ')' : item.reviewer) +
+                (item.isTeam ? ' (team)' : '') +
+                (absentReviewers[item.reviewer] ? ' (out of office until ' + absentReviewers[item.reviewer].to + ')' : ''),
+            item.pending,
+            item.medianResponse || '-',
+        ]);
+    markdown += section('Top pending reviewers', ['Reviewer', 'Pending', 'Median Response'], reviewerRows,
+        'No reviews are pending.');
+
+    const overdueRows = prs
+        .filter((pr) => pr.daysOpen > aging.thresholds.red)
+        .sort((a, b) => b.daysOpen - a.daysOpen)
+        .map((pr) => [
+            repoPrefix(pr) + prLink(pr) + (pr.isDraft ? ' (draft)' : ''),
+            escapeMarkdown(pr.author),
+            pr.daysOpen,
+            getStatusLabel(pr.status),
+        ]);
+    markdown += section('Open more than ' + aging.thresholds.red + ' ' + aging.basis + ' days (' +
+        overdueRows.length + ')', ['Pull Request', 'Author', 'Days Open', 'Status'], overdueRows,
+        'No pull requests are past the red aging threshold.');
+
+    return { 'summary.md': markdown };
+}
+
+module.exports = {
+    escapeMarkdown,
+    renderMarkdown,
+};
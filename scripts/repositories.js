@@ -0,0 +1,29 @@
+// Full "owner/name" of a repository
+function fullName(repository) {
+    return repository.owner + '/' + repository.name;
+}
+
+/**
+ * Parse a list of "owner/name" repositories separated by commas, spaces or
+ * newlines (the format of the action's `repositories` input) into
+ * [{ owner, name }]. Duplicates are dropped.
+ */
+function parseRepositories(list) {
+    const repositories = [];
+    (list || '').split(/[\s,]+/).filter(Boolean).forEach((entry) => {
+        const match = entry.match(/^([\w.-]+)\/([\w.-]+)$/);
+        if (!match) {
+            throw new Error('Repositories must be listed as "owner/name", got "' + entry + '"');
+        }
+        const repository = { owner: match[1], name: match[2] };
+        if (!repositories.some((existing) => fullName(existing) === fullName(repository))) {
+            repositories.push(repository);
+        }
+    });
+    return repositories;
+}
+
+module.exports = {
+    fullName,
+    parseRepositories,
+};
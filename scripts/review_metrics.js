@@ -0,0 +1,91 @@
+const { median } = require('./history');
+
+const HOUR_MS = 1000 * 60 * 60;
+
+// Hours between two timestamps, to one decimal place
+function hoursBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / HOUR_MS * 10) / 10;
+}
+
+// Short human readable duration, e.g. "<1h", "5h" or "2.5d"
+function formatHours(hours) {
+    if (hours === null || hours === undefined) return '';
+    if (hours < 1) return '<1h';
+    if (hours < 48) return Math.round(hours) + 'h';
+    return Math.round(hours / 24 * 10) / 10 + 'd';
+}
+
+/**
+ * Review latency of a single PR, from its reviews and review request events:
+ * - firstReviewHours: first review request -> first review by anyone
+ * - approvalHours: PR creation -> each approval, as [{ reviewer, hours }]
+ * - responseHours: per reviewer, each review request -> their next review
+ */
+function computePrMetrics(pr) {
+    const author = pr.author?.login;
+
+    // Submitted reviews by someone other than the author, oldest first
+    const reviews = (pr.reviews?.nodes || [])
+        .filter((review) => review.author?.login && review.author.login !== author &&
+            review.submittedAt && review.state !== 'PENDING')
+        .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+
+    // Review requests to individual users, oldest first
+    const requests = (pr.timelineItems?.nodes || [])
+        .filter((event) => event.createdAt && event.requestedReviewer?.login)
+        .map((event) => ({ reviewer: event.requestedReviewer.login, requestedAt: event.createdAt }))
+        .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+
+    let firstReviewHours = null;
+    if (requests.length > 0) {
+        const firstRequestAt = new Date(requests[0].requestedAt);
+        const firstReview = reviews.find((review) => new Date(review.submittedAt) >= firstRequestAt);
+        if (firstReview) {
+            firstReviewHours = hoursBetween(firstRequestAt, firstReview.submittedAt);
+        }
+    }
+
+    const approvalHours = reviews
+        .filter((review) => review.state === 'APPROVED')
+        .map((review) => ({ reviewer: review.author.login, hours: hoursBetween(pr.createdAt, review.submittedAt) }));
+
+    // Match each request to the reviewer's next review (each review answers one request)
+    const responseHours = {};
+    const answeredReviews = new Set();
+    requests.forEach(({ reviewer, requestedAt }) => {
+        const response = reviews.find((review) => review.author.login === reviewer &&
+            !answeredReviews.has(review) && new Date(review.submittedAt) >= new Date(requestedAt));
+        if (!response) return;
+
+        answeredReviews.add(response);
+        responseHours[reviewer] = responseHours[reviewer] || [];
+        responseHours[reviewer].push(hoursBetween(requestedAt, response.submittedAt));
+    });
+
+    return { firstReviewHours, approvalHours, responseHours };
+}
+
+/**
+ * Median response time of each reviewer across PRs.
+ * Returns { reviewer: { medianHours, count } }.
+ */
+function summarizeResponsiveness(prMetrics) {
+    const allResponses = {};
+    prMetrics.forEach((metrics) => {
+        Object.entries(metrics.responseHours).forEach(([reviewer, hours]) => {
+            allResponses[reviewer] = (allResponses[reviewer] || []).concat(hours);
+        });
+    });
+
+    const summary = {};
+    Object.entries(allResponses).forEach(([reviewer, hours]) => {
+        summary[reviewer] = { medianHours: median(hours), count: hours.length };
+    });
+    return summary;
+}
+
+module.exports = {
+    formatHours,
+    computePrMetrics,
+    summarizeResponsiveness,
+};
@@ -0,0 +1,126 @@
+// Reviewer suggestions used when the policy file has no "suggestions" section
+const DEFAULT_SUGGESTIONS = {
+    // Logins that are never suggested (opted out, on vacation)
+    optOut: [],
+    // How many pending reviews one review of an earlier or open PR by the same author makes up for
+    historyWeight: 1,
+};
+
+/**
+ * Fill in defaults for the "suggestions" section of the policy file and validate it.
+ */
+function resolveSuggestionsConfig(config = {}) {
+    const suggestions = { ...DEFAULT_SUGGESTIONS, ...config };
+
+    if (!Array.isArray(suggestions.optOut) || suggestions.optOut.some((login) => typeof login !== 'string')) {
+        throw new Error('Suggestions optOut must be a list of logins');
+    }
+    if (typeof suggestions.historyWeight !== 'number' || suggestions.historyWeight < 0) {
+        throw new Error('Suggestions historyWeight must be a non-negative number');
+    }
+
+    return suggestions;
+}
+
+/**
+ * Count the PRs of each author that each reviewer has reviewed, keyed by
+ * "author reviewer": the open PRs plus every PR in the history snapshots (the
+ * history store's retention period), so PRs merged or closed since still
+ * count. A PR counts once, with the reviewers of its latest appearance.
+ */
+function countAuthorReviews(prs, history) {
+    const reviewsById = {};
+    history.forEach((snapshot) => {
+        Object.entries(snapshot.prs || {}).forEach(([id, pr]) => {
+            // Snapshots written before authors were recorded hold no review history
+            if (pr.author && pr.reviewedBy) reviewsById[id] = pr;
+        });
+    });
+    prs.forEach((pr) => {
+        reviewsById[pr.id] = {
+            author: pr.author,
+            reviewedBy: pr.reviewers.filter((reviewer) => reviewer.state !== 'REQUESTED')
+                .map((reviewer) => reviewer.login),
+        };
+    });
+
+    const authorReviews = {};
+    Object.values(reviewsById).forEach(({ author, reviewedBy }) => {
+        reviewedBy.forEach((login) => {
+            const key = author + ' ' + login;
+            authorReviews[key] = (authorReviews[key] || 0) + 1;
+        });
+    });
+    return authorReviews;
+}
+
+/**
+ * Suggest reviewers for the open PRs that have fewer reviewers than the
+ * approvals they need. Drafts and PRs that already have their approvals are
+ * skipped.
+ *
+ * Candidates are the individual reviewers seen in the report plus the
+ * members of teamMembers, minus the author, the PR's current reviewers, the
+ * opt-out list and the reviewers in `absent` (lowercase login -> absence).
+ * They are ranked by their pending review count, less historyWeight for
+ * each PR by the same author they have reviewed - open ones and those in the
+ * `history` snapshots (see countAuthorReviews). Absent reviewers who
+ * have not approved do not count toward a PR's reviewers. Each
+ * suggestion counts toward the candidate's load, so the oldest PRs are
+ * served first and later ones go to other people.
+ *
+ * Returns { prId: { shortfall, suggested: [{ login, pending, authorReviews }] } }
+ * for the PRs that need reviewers.
+ */
+function suggestReviewers({ prs, reviewers, teamReviewers, teamMembers = {}, absent = {}, history = [], config }) {
+    const optOut = config.optOut.map((login) => login.toLowerCase());
+
+    const load = {};
+    Object.entries(reviewers).forEach(([login, data]) => {
+        if (!teamReviewers[login]) load[login] = data.pending;
+    });
+    Object.values(teamMembers).forEach((members) => {
+        members.forEach((login) => {
+            if (load[login] === undefined) load[login] = 0;
+        });
+    });
+    const candidates = Object.keys(load).filter((login) =>
+        !optOut.includes(login.toLowerCase()) && !absent[login.toLowerCase()]);
+
+    const authorReviews = countAuthorReviews(prs, history);
+
+    const suggestions = {};
+    [...prs]
+        .sort((a, b) => b.daysOpen - a.daysOpen)
+        .forEach((pr) => {
+            const activeReviewers = pr.reviewers.filter((reviewer) =>
+                !absent[reviewer.login.toLowerCase()] || reviewer.state === 'APPROVED');
+            const shortfall = pr.requiredApprovals - activeReviewers.length;
+            if (pr.isDraft || pr.approvals >= pr.requiredApprovals || shortfall <= 0) return;
+
+            const current = pr.reviewers.map((reviewer) => reviewer.login);
+            const score = (login) => load[login] - config.historyWeight * (authorReviews[pr.author + ' ' + login] || 0);
+            const suggested = candidates
+                .filter((login) => login !== pr.author && !current.includes(login))
+                .sort((a, b) => score(a) - score(b) || load[a] - load[b] || a.localeCompare(b))
+                .slice(0, shortfall)
+                .map((login) => ({
+                    login,
+                    pending: load[login],
+                    authorReviews: authorReviews[pr.author + ' ' + login] || 0,
+                }));
+
+            suggested.forEach((suggestion) => {
+                load[suggestion.login] += 1;
+            });
+            suggestions[pr.id] = { shortfall, suggested };
+        });
+
+    return suggestions;
+}
+
+module.exports = {
+    DEFAULT_SUGGESTIONS,
+    resolveSuggestionsConfig,
+    suggestReviewers,
+};
@@ -0,0 +1,281 @@
+// Renders the report for scripts/fixtures/hostile_pr_report.json and checks that none of its
+// hostile titles, logins, names or labels turns into markup, and that prs.csv holds no formulas.
+// Run with: node --test scripts/test
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { processData } = require('../process_pr_reviews');
+const { renderReport } = require('../renderers');
+const hostileData = require('../fixtures/hostile_pr_report.json');
+
+const repositories = [{ owner: 'o', name: 'r' }];
+const generatedAt = new Date('2026-02-01T12:00:00Z');
+
+// Every string of the fixture's pull requests that holds a character special to HTML or JS
+function hostileStrings(prData) {
+    const strings = new Set();
+    const collect = (value) => {
+        if (typeof value === 'string') {
+            if (/[<>"'&`\\\u2028\u2029]/.test(value)) strings.add(value);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(collect);
+        }
+    };
+    collect(prData.data.repository.pullRequests.nodes);
+    return [...strings];
+}
+
+// The fixture with every string replaced by a harmless one of its own
+function neutralized(prData) {
+    const replace = (value, key) => {
+        if (typeof value === 'string' && !/^(createdAt|submittedAt|state|mergeable|oid)$/.test(key)) {
+            return value.replace(/[^\w-]/g, 'x');
+        }
+        if (Array.isArray(value)) return value.map((item) => replace(item, key));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, replace(item, name)]));
+        }
+        return value;
+    };
+    return replace(prData, '');
+}
+
+function renderFiles(prData) {
+    return renderReport(processData(prData, { repositories, generatedAt }));
+}
+
+/**
+ * A document that builds an element tree without ever parsing HTML: setting
+ * innerHTML to anything but '' throws, and the text and attribute values the
+ * page sets are recorded.
+ */
+function createDocument() {
+    const recorded = { text: [], attributes: [], tags: [] };
+    const byId = {};
+
+    const matches = (element, selector) => {
+        const match = selector.match(/^(\w*)((?:\[[\w-]+="[^"]*"\])*)(:checked|:not\(:checked\))?$/);
+        assert.ok(match, 'Unsupported selector ' + selector);
+        if (match[1] && element.tagName !== match[1].toUpperCase()) return false;
+        const attributes = [...match[2].matchAll(/\[([\w-]+)="([^"]*)"\]/g)];
+        if (!attributes.every(([, name, value]) => String(element[name] ?? element.getAttribute(name)) === value)) {
+            return false;
+        }
+        if (match[3] === ':checked') return !!element.checked;
+        if (match[3] === ':not(:checked)') return !element.checked;
+        return true;
+    };
+    const descendants = (element) => element.children.flatMap((child) => [child, ...descendants(child)]);
+
+    class Element {
+        constructor(tagName) {
+            recorded.tags.push(tagName.toLowerCase());
+            this.tagName = tagName.toUpperCase();
+            this.children = [];
+            this.attributes = {};
+            this.style = {};
+            const classes = new Set();
+            this.classList = {
+                add: (...names) => names.forEach((name) => classes.add(name)),
+                remove: (...names) => names.forEach((name) => classes.delete(name)),
+                toggle: (name, on) => ((on === undefined ? !classes.has(name) : on) ?
+                    classes.add(name) : classes.delete(name)),
+                contains: (name) => classes.has(name),
+            };
+            this.ownText = '';
+        }
+        set innerHTML(html) {
+            assert.strictEqual(html, '', 'innerHTML is only ever cleared');
+            this.children = [];
+        }
+        set textContent(text) {
+            recorded.text.push(String(text));
+            this.children = [];
+            this.ownText = String(text);
+        }
+        get textContent() {
+            return this.ownText + this.children.map((child) => child.textContent).join('');
+        }
+        set title(value) {
+            this.setAttribute('title', value);
+        }
+        get title() {
+            return this.getAttribute('title') || '';
+        }
+        set href(value) {
+            this.setAttribute('href', value);
+        }
+        get href() {
+            return this.getAttribute('href');
+        }
+        get selectedOptions() {
+            return this.children.filter((option) => option.selected);
+        }
+        set className(value) {
+            String(value).split(/\s+/).filter(Boolean).forEach((name) => this.classList.add(name));
+        }
+        setAttribute(name, value) {
+            recorded.attributes.push({ name, value: String(value) });
+            this.attributes[name] = String(value);
+        }
+        removeAttribute(name) {
+            delete this.attributes[name];
+        }
+        getAttribute(name) {
+            return name in this.attributes ? this.attributes[name] : null;
+        }
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        }
+        insertBefore(child, reference) {
+            this.children.splice(this.children.indexOf(reference), 0, child);
+            return child;
+        }
+        addEventListener() {}
+        querySelector(selector) {
+            return this.querySelectorAll(selector)[0] || null;
+        }
+        querySelectorAll(selector) {
+            return descendants(this).filter((element) => matches(element, selector));
+        }
+    }
+
+    const root = new Element('html');
+    const document = {
+        createElement: (tagName) => new Element(tagName),
+        createTextNode: (text) => {
+            recorded.text.push(String(text));
+            return { textContent: String(text), children: [] };
+        },
+        getElementById: (id) => {
+            if (!byId[id]) {
+                byId[id] = root.appendChild(new Element('div'));
+                byId[id].id = id;
+            }
+            return byId[id];
+        },
+        querySelector: (selector) => root.querySelector(selector),
+        querySelectorAll: (selector) => root.querySelectorAll(selector),
+        addEventListener() {},
+    };
+
+    // The "Show all" radios are part of the static page
+    ['reviewerFilter', 'authorFilter'].forEach((name) => {
+        const radio = root.appendChild(new Element('input'));
+        Object.assign(radio, { type: 'radio', name, value: 'all', checked: true });
+    });
+    return { document, recorded };
+}
+
+// Run the page's inline scripts with the fake document and render the report data
+function renderInPage(files) {
+    const { document, recorded } = createDocument();
+    const context = vm.createContext({ document, window: {}, console });
+    [...files['index.html'].matchAll(/<script>([\s\S]*?)<\/script>/g)].forEach(([, source]) => {
+        vm.runInContext(source, context);
+    });
+    vm.runInContext('renderReport(' + files['report.json'] + ')', context);
+    return recorded;
+}
+
+test('the page shell holds no pull request data', () => {
+    const hostile = renderFiles(hostileData)['index.html'];
+    const neutral = renderFiles(neutralized(hostileData))['index.html'];
+    // Strings such as "</script>" are part of the page itself
+    hostileStrings(hostileData).filter((value) => !neutral.includes(value)).forEach((value) => {
+        assert.ok(!hostile.includes(value), 'index.html contains ' + JSON.stringify(value));
+    });
+    assert.strictEqual(hostile, neutral);
+});
+
+test('report.json keeps every hostile string as data', () => {
+    const json = renderFiles(hostileData)['report.json'];
+    const report = JSON.parse(json);
+    hostileData.data.repository.pullRequests.nodes.forEach((pr) => {
+        assert.ok(report.prs.some((record) => record.title === pr.title), 'missing title ' + JSON.stringify(pr.title));
+    });
+});
+
+test('the page shows hostile titles, logins, names and labels as literal text', () => {
+    const recorded = renderInPage(renderFiles(hostileData));
+
+    assert.ok(!recorded.tags.includes('script'), 'a script element was created');
+    recorded.attributes.forEach(({ name, value }) => {
+        assert.ok(!/^on/i.test(name), 'event handler attribute ' + name + '=' + JSON.stringify(value));
+        if (name === 'href') {
+            assert.ok(!/^\s*javascript:/i.test(value), 'javascript: URL ' + value);
+        }
+    });
+
+    const shown = recorded.text.concat(recorded.attributes.map(({ value }) => value));
+    const expected = new Set();
+    hostileData.data.repository.pullRequests.nodes.forEach((pr) => {
+        expected.add(pr.title);
+        if (pr.author) expected.add(pr.author.login);
+        (pr.labels?.nodes || []).forEach((label) => expected.add(label.name));
+        (pr.reviews?.nodes || []).forEach((review) => expected.add(review.author.login));
+        (pr.reviewRequests?.nodes || []).forEach((request) => {
+            if (request.requestedReviewer.login) expected.add(request.requestedReviewer.login);
+        });
+    });
+    expected.forEach((value) => {
+        assert.ok(shown.some((text) => text.includes(value)), JSON.stringify(value) + ' is not shown as text');
+    });
+});
+
+// Split CSV text into rows of fields (RFC 4180 quoting)
+function parseCsv(text) {
+    const rows = [[]];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            rows[rows.length - 1].push(field);
+            field = '';
+        } else if (char === '\n') {
+            rows[rows.length - 1].push(field);
+            rows.push([]);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    return rows.filter((row) => row.length > 1);
+}
+
+test('prs.csv keeps titles and labels that start like a formula from running as one', () => {
+    const formulas = ['=HYPERLINK("http://evil.example","click")', '+1+1', '-2+3', '@SUM(A1:A2)', '\t=1+1',
+        '\r=1+1'];
+    const nodes = formulas.map((title, index) => ({
+        number: index + 1,
+        title,
+        createdAt: '2026-01-05T12:00:00.000Z',
+        author: { login: 'alice' },
+        labels: { nodes: [{ name: title, color: 'ffffff' }, { name: 'bug', color: 'ff0000' }] },
+    }));
+    const csv = renderReport(processData({ data: { repository: { pullRequests: { nodes } } } },
+        { repositories, generatedAt }), ['csv'])['prs.csv'];
+
+    const [header, ...rows] = parseCsv(csv);
+    rows.forEach((row) => {
+        row.forEach((field, index) => {
+            assert.ok(!/^[=+\-@\t\r]/.test(field), header[index] + ' field starts a formula: ' + JSON.stringify(field));
+        });
+    });
+    const column = (name) => rows.map((row) => row[header.indexOf(name)]);
+    assert.deepStrictEqual(column('title'), formulas.map((title) => '\'' + title));
+    assert.deepStrictEqual(column('labels'), formulas.map((title) => '\'' + title + ';bug'));
+});
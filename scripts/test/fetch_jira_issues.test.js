@@ -0,0 +1,112 @@
+// Fetches Jira issues from a local stand-in for the Jira REST API and checks which ones come from
+// the cache, which are fetched, and that a PR linking a Closed issue is flagged in the report.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startMockServer } = require('../fixtures/mock_server');
+const { processData } = require('../process_pr_reviews');
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// The issues the stand-in knows, as Jira returns them
+const status = (name, category) => ({ name, statusCategory: { key: category } });
+const JIRA_ISSUES = {
+    'OCMUI-1': { fields: { summary: 'Open issue', status: status('In Progress', 'indeterminate'),
+        priority: { name: 'Major' }, fixVersions: [{ name: '1.2' }], assignee: { displayName: 'Ann' } } },
+    'OCMUI-2': { fields: { summary: 'Finished issue', status: status('Closed', 'done'), priority: null,
+        fixVersions: [], assignee: null } },
+    'OCMUI-3': { fields: { summary: 'Updated issue', status: status('Review', 'indeterminate'),
+        priority: { name: 'Minor' }, fixVersions: [], assignee: { name: 'bob' } } },
+};
+
+// Issue keys the stand-in fails on
+let failing = [];
+let server;
+let fetchJiraIssues;
+
+function respond({ url }) {
+    const key = decodeURIComponent(url.match(/^\/rest\/api\/2\/issue\/([^?]+)\?/)[1]);
+    if (failing.includes(key)) return { status: 503, body: 'Jira is down' };
+    if (!JIRA_ISSUES[key]) return { status: 404, body: { errorMessages: ['Issue Does Not Exist'] } };
+    return { body: { key, ...JIRA_ISSUES[key] } };
+}
+
+// Fetched keys, in request order
+function fetchedKeys() {
+    return server.requests.map(({ url }) => decodeURIComponent(url.split('/').pop().split('?')[0]));
+}
+
+before(async () => {
+    server = await startMockServer(respond);
+    // The server is read when the script is loaded
+    process.env.JIRA_URL = server.url + '/';
+    ({ fetchJiraIssues } = require('../fetch_jira_issues'));
+});
+
+after(() => server.close());
+
+test('fresh cache entries are reused and stale or missing ones are fetched', async () => {
+    server.requests.length = 0;
+    failing = [];
+    const fresh = { key: 'OCMUI-1', summary: 'Cached', status: 'New', fetchedAt: new Date(NOW - HOUR).toISOString() };
+    const stale = { key: 'OCMUI-3', summary: 'Old', status: 'New', fetchedAt: new Date(NOW - 5 * HOUR).toISOString() };
+
+    const issues = await fetchJiraIssues({
+        keys: ['OCMUI-1', 'OCMUI-2', 'OCMUI-3', 'OCMUI-404'],
+        token: 'jira-token',
+        cache: { 'OCMUI-1': fresh, 'OCMUI-3': stale },
+        cacheHours: 4,
+        now: NOW,
+    });
+
+    assert.deepStrictEqual(fetchedKeys(), ['OCMUI-2', 'OCMUI-3', 'OCMUI-404']);
+    server.requests.forEach(({ url, headers }) => {
+        assert.match(url, /\?fields=summary,status,priority,fixVersions,assignee$/);
+        assert.strictEqual(headers.authorization, 'Bearer jira-token');
+    });
+    assert.deepStrictEqual(issues, {
+        'OCMUI-1': fresh,
+        'OCMUI-2': { key: 'OCMUI-2', summary: 'Finished issue', status: 'Closed', statusCategory: 'done',
+            priority: null, fixVersions: [], assignee: null, fetchedAt: NOW.toISOString() },
+        'OCMUI-3': { key: 'OCMUI-3', summary: 'Updated issue', status: 'Review', statusCategory: 'indeterminate',
+            priority: 'Minor', fixVersions: [], assignee: 'bob', fetchedAt: NOW.toISOString() },
+        'OCMUI-404': { key: 'OCMUI-404', notFound: true, fetchedAt: NOW.toISOString() },
+    });
+});
+
+test('an issue whose fetch fails keeps its cached entry', async () => {
+    server.requests.length = 0;
+    failing = ['OCMUI-1'];
+    const stale = { key: 'OCMUI-1', summary: 'Old', status: 'New', fetchedAt: new Date(NOW - 5 * HOUR).toISOString() };
+
+    const issues = await fetchJiraIssues({ keys: ['OCMUI-1', 'OCMUI-2'], cache: { 'OCMUI-1': stale }, now: NOW });
+
+    assert.deepStrictEqual(fetchedKeys(), ['OCMUI-1', 'OCMUI-2']);
+    assert.strictEqual(issues['OCMUI-1'], stale);
+    assert.strictEqual(issues['OCMUI-2'].status, 'Closed');
+});
+
+test('the fetch fails when no issue could be fetched or taken from the cache', async () => {
+    failing = ['OCMUI-1', 'OCMUI-2'];
+    await assert.rejects(fetchJiraIssues({ keys: ['OCMUI-1', 'OCMUI-2'], now: NOW }),
+        /No Jira issue could be fetched - check JIRA_URL and JIRA_TOKEN/);
+});
+
+test('a PR linking a Closed or missing issue is flagged', async () => {
+    failing = [];
+    const jiraIssues = await fetchJiraIssues({ keys: ['OCMUI-1', 'OCMUI-2', 'OCMUI-404'], now: NOW });
+    const pr = (number, title) => ({ number, title, createdAt: '2026-03-01T12:00:00Z', author: { login: 'alice' } });
+    const prData = { data: { repository: { pullRequests: { nodes: [
+        pr(1, 'OCMUI-1 Open work'),
+        pr(2, 'OCMUI-2 Already done'),
+        pr(3, 'OCMUI-404 Typo in the key'),
+    ] } } } };
+
+    const model = processData(prData, { repositories: [{ owner: 'o', name: 'r' }], jiraIssues, generatedAt: NOW });
+
+    assert.deepStrictEqual(model.prs.map((record) => record.jiraMismatches), [
+        [],
+        [{ key: 'OCMUI-2', reason: 'closed', message: 'OCMUI-2 is already Closed' }],
+        [{ key: 'OCMUI-404', reason: 'not_found', message: 'OCMUI-404 does not exist or is not accessible' }],
+    ]);
+});
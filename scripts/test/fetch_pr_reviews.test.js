@@ -0,0 +1,122 @@
+// Fetches pull requests from a local stand-in for the GitHub GraphQL API that serves them a few
+// at a time, and checks that every page of the PR list and of each PR's connections is merged.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startMockServer } = require('../fixtures/mock_server');
+
+// Items the stand-in puts on one page, far fewer than the page sizes the script asks for
+const PAGE_SIZE = 2;
+
+const CONNECTIONS = ['reviewRequests', 'reviews', 'labels', 'assignees', 'files', 'timelineItems'];
+
+// Open PRs of each repository, with everything in their connections
+function makePr(repository, number, counts = {}) {
+    const pr = {
+        number,
+        title: 'PR ' + number,
+        createdAt: '2026-01-0' + number + 'T00:00:00Z',
+        repository: { nameWithOwner: repository },
+        author: { login: 'author' + number },
+    };
+    CONNECTIONS.forEach((connection) => {
+        pr[connection] = [...Array(counts[connection] || 0).keys()].map((index) => ({ name: connection + index }));
+    });
+    return pr;
+}
+
+const REPOSITORIES = {
+    'o/r': [
+        makePr('o/r', 1, { reviews: 5, labels: 1 }),
+        makePr('o/r', 2),
+        makePr('o/r', 3, { files: 3, timelineItems: 2 }),
+        makePr('o/r', 4, { reviewRequests: 4, assignees: 2 }),
+        makePr('o/r', 5, { labels: 7 }),
+    ],
+    'o/other': [makePr('o/other', 1, { reviews: 3 })],
+};
+
+// One page of a list; the cursor is the offset of the page
+function page(nodes, cursor) {
+    const start = cursor ? Number(cursor) : 0;
+    const end = start + PAGE_SIZE;
+    return { pageInfo: { hasNextPage: end < nodes.length, endCursor: String(end) }, nodes: nodes.slice(start, end) };
+}
+
+// A PR as the list query returns it: the first page of each connection
+function firstPages(pr) {
+    const result = { ...pr };
+    CONNECTIONS.forEach((connection) => {
+        result[connection] = page(pr[connection], null);
+    });
+    return result;
+}
+
+function respond({ body }) {
+    const { query, variables } = JSON.parse(body);
+    const prs = REPOSITORIES[variables.owner + '/' + variables.name];
+    if (!prs) {
+        return { body: { data: { repository: null } } };
+    }
+
+    // The query for the rest of one connection of a single PR
+    const nested = query.match(/pullRequest\(number: \$number\) \{\s*(\w+)\(/);
+    if (nested) {
+        const pr = prs.find((candidate) => candidate.number === variables.number);
+        const connection = page(pr[nested[1]], variables.cursor);
+        return { body: { data: { repository: { pullRequest: { [nested[1]]: connection } } } } };
+    }
+    const prPage = page(prs, variables.cursor);
+    return { body: { data: { repository: { pullRequests: { ...prPage, nodes: prPage.nodes.map(firstPages) } } } } };
+}
+
+// A PR as the script should write it: every connection complete, as { nodes }
+function expected(pr) {
+    const result = { ...pr };
+    CONNECTIONS.forEach((connection) => {
+        result[connection] = { nodes: pr[connection] };
+    });
+    return result;
+}
+
+let server;
+let fetchPullRequests;
+let fetchRepositories;
+
+before(async () => {
+    server = await startMockServer(respond);
+    // The endpoint is read when the script is loaded
+    process.env.GITHUB_GRAPHQL_URL = server.url;
+    ({ fetchPullRequests, fetchRepositories } = require('../fetch_pr_reviews'));
+});
+
+after(() => server.close());
+
+test('every page of the PR list and of each PR connection is merged', async () => {
+    server.requests.length = 0;
+    const report = await fetchPullRequests({ owner: 'o', name: 'r', token: 'secret' });
+
+    assert.deepStrictEqual(report.data.repository.pullRequests.nodes, REPOSITORIES['o/r'].map(expected));
+
+    const calls = server.requests.map(({ body }) => JSON.parse(body));
+    assert.deepStrictEqual(calls.filter(({ query }) => query.includes('pullRequests(')).map(({ variables }) =>
+        variables.cursor), [null, '2', '4']);
+    // reviews of #1 (5 -> 2 more pages), files of #3 (3 -> 1), reviewRequests of #4 (4 -> 1), labels of #5 (7 -> 3)
+    assert.deepStrictEqual(calls.filter(({ variables }) => variables.number).map(({ variables }) =>
+        variables.number + '@' + variables.cursor), ['1@2', '1@4', '3@2', '4@2', '5@2', '5@4', '5@6']);
+    server.requests.forEach(({ headers }) => assert.strictEqual(headers.authorization, 'bearer secret'));
+});
+
+test('the PRs of several repositories are merged into one list', async () => {
+    const report = await fetchRepositories({
+        repositories: [{ owner: 'o', name: 'r' }, { owner: 'o', name: 'other' }],
+        token: 'secret',
+    });
+
+    assert.deepStrictEqual(report.data.repository.pullRequests.nodes,
+        REPOSITORIES['o/r'].concat(REPOSITORIES['o/other']).map(expected));
+});
+
+test('a repository that is not found fails the fetch', async () => {
+    await assert.rejects(fetchPullRequests({ owner: 'o', name: 'missing', token: 'secret' }),
+        /Repository o\/missing not found or not accessible/);
+});
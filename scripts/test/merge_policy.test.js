@@ -0,0 +1,52 @@
+// Loads policy files with valid and invalid settings and checks how label overrides apply.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPolicy, resolvePolicy } = require('../merge_policy');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-policy-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write the policy file text and load it
+function load(text) {
+    const policyPath = path.join(dir, 'policy.json');
+    fs.writeFileSync(policyPath, text);
+    return loadPolicy(policyPath);
+}
+
+test('requiredApprovals must be a whole number, in the policy and in label overrides', () => {
+    assert.strictEqual(load('{ "requiredApprovals": 2 }').requiredApprovals, 2);
+    assert.throws(() => load('{ "requiredApprovals": 1.5 }'),
+        /^Error: Policy: requiredApprovals must be a whole number/);
+    assert.throws(() => load('{ "requiredApprovals": 1e999 }'), /got Infinity$/);
+    assert.throws(() => load('{ "requiredApprovals": -1 }'), /requiredApprovals must be a whole number/);
+    assert.throws(() => load('{ "labelOverrides": { "hotfix": { "requiredApprovals": "2" } } }'),
+        /^Error: Policy labelOverrides "hotfix": requiredApprovals must be a whole number.*, got "2"$/);
+    assert.throws(() => load('{ "labelOverrides": { "hotfix": { "requiredApprovals": 0.5 } } }'),
+        /labelOverrides "hotfix": requiredApprovals must be a whole number/);
+});
+
+test('unknown settings are rejected, and overrides may only change per-PR settings', () => {
+    assert.throws(() => load('{ "requiredAprovals": 2 }'), /Policy: unknown setting "requiredAprovals"/);
+    assert.throws(() => load('{ "labelOverrides": { "hotfix": { "aging": {} } } }'),
+        /Policy labelOverrides "hotfix": unknown setting "aging"/);
+});
+
+test('label overrides match the PR labels case-insensitively', () => {
+    const policy = load('{ "requiredApprovals": 2, "labelOverrides": { "HotFix": { "requiredApprovals": 1 } } }');
+
+    assert.strictEqual(resolvePolicy(policy, ['hotfix']).requiredApprovals, 1);
+    assert.strictEqual(resolvePolicy(policy, ['HOTFIX', 'bug']).requiredApprovals, 1);
+    assert.strictEqual(resolvePolicy(policy, ['bug']).requiredApprovals, 2);
+});
+
+test('aging thresholds must be non-negative numbers of days in ascending order', () => {
+    assert.deepStrictEqual(load('{ "aging": { "thresholds": { "red": 10 } } }').aging.thresholds,
+        { yellow: 2, orange: 4, red: 10 });
+    ['{ "yellow": "2" }', '{ "orange": -1 }', '{ "yellow": 5 }', '{ "red": null }'].forEach((thresholds) => {
+        assert.throws(() => load('{ "aging": { "thresholds": ' + thresholds + ' } }'),
+            /Aging thresholds must be non-negative numbers of days with yellow <= orange <= red/);
+    });
+});
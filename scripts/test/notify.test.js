@@ -0,0 +1,168 @@
+// Runs notify.js against a local stand-in for the chat webhook and checks the Slack, Teams and
+// generic payloads it posts, and that nothing is posted inside quiet hours.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockServer } = require('../fixtures/mock_server');
+
+const NOTIFY_SCRIPT = path.join(__dirname, '..', 'notify.js');
+
+// Two open PRs: #1 waits for bob's review, #2 has its 3 approvals
+const approval = (login) => ({
+    state: 'APPROVED',
+    submittedAt: '2025-03-07T12:00:00Z',
+    commit: { oid: 'head2' },
+    author: { login },
+});
+const PR_DATA = {
+    data: {
+        repository: {
+            pullRequests: {
+                nodes: [
+                    {
+                        number: 1,
+                        title: 'Escape <b>titles</b> & links',
+                        createdAt: '2025-01-06T12:00:00Z',
+                        author: { login: 'alice' },
+                        reviewRequests: { nodes: [{ requestedReviewer: { login: 'bob' } }] },
+                        reviews: { nodes: [] },
+                    },
+                    {
+                        number: 2,
+                        title: 'Ready to go',
+                        createdAt: '2025-03-06T12:00:00Z',
+                        author: { login: 'carol' },
+                        headRefOid: 'head2',
+                        mergeable: 'MERGEABLE',
+                        commits: { nodes: [{ commit: { statusCheckRollup: { state: 'SUCCESS' } } }] },
+                        reviews: { nodes: [approval('dave'), approval('erin'), approval('frank')] },
+                    },
+                ],
+            },
+        },
+    },
+};
+
+let server;
+let reply;
+let inputPath;
+
+before(async () => {
+    server = await startMockServer(() => reply);
+    inputPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notify-test-')), 'pr_review_report.json');
+    fs.writeFileSync(inputPath, JSON.stringify(PR_DATA));
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(path.dirname(inputPath), { recursive: true, force: true });
+});
+
+// Run notify.js with only the given settings in its environment; resolves to { code, stdout, stderr }
+function runNotify(env) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [NOTIFY_SCRIPT], {
+            env: {
+                PATH: process.env.PATH,
+                PR_REPORT_PATH: inputPath,
+                PROJECT_OWNER: 'o',
+                PROJECT_NAME: 'r',
+                NOTIFY_WEBHOOK_URL: server.url,
+                ...env,
+            },
+            timeout: 30000,
+        }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+// Post the digest in a format and return the one payload the stand-in received
+async function postedPayload(format) {
+    server.requests.length = 0;
+    reply = { body: 'ok' };
+    const result = await runNotify({ NOTIFY_FORMAT: format });
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, new RegExp('Sent the ' + format + ' review digest'));
+    assert.strictEqual(server.requests.length, 1);
+    assert.strictEqual(server.requests[0].method, 'POST');
+    assert.strictEqual(server.requests[0].headers['content-type'], 'application/json');
+    return JSON.parse(server.requests[0].body);
+}
+
+// "HH-HH" quiet hours starting `fromHour` hours after the current UTC hour (the default aging timezone)
+function quietHoursFrom(fromHour, length) {
+    const hour = new Date().getUTCHours();
+    const at = (offset) => String((hour + offset + 24) % 24).padStart(2, '0');
+    return at(fromHour) + '-' + at(fromHour + length);
+}
+
+test('the Slack payload has a header and a mrkdwn section per digest list', async () => {
+    const payload = await postedPayload('slack');
+
+    assert.strictEqual(payload.text, 'PR review digest: o/r - 1 pending reviews, 2 overdue PRs, 1 ready to merge');
+    assert.deepStrictEqual(payload.blocks[0],
+        { type: 'header', text: { type: 'plain_text', text: 'PR review digest: o/r' } });
+    const sections = payload.blocks.slice(1).map((block) => {
+        assert.strictEqual(block.type, 'section');
+        assert.strictEqual(block.text.type, 'mrkdwn');
+        return block.text.text;
+    });
+    assert.strictEqual(sections.length, 3);
+    assert.strictEqual(sections[0],
+        '*Pending reviews*\n• bob: 1 - <https://github.com/o/r/pull/1|Escape &lt;b&gt;titles&lt;/b&gt; &amp; links>');
+    assert.match(sections[1], /^\*Open more than 6 business days\*\n• <https:\/\/github.com\/o\/r\/pull\/1\|/);
+    assert.strictEqual(sections[2].split('\n')[1],
+        '• <https://github.com/o/r/pull/2|Ready to go> by carol (3/3 approvals)');
+});
+
+test('the Teams payload is a message card with a section per digest list', async () => {
+    const payload = await postedPayload('teams');
+
+    assert.strictEqual(payload['@type'], 'MessageCard');
+    assert.strictEqual(payload.title, 'PR review digest: o/r');
+    assert.strictEqual(payload.summary, '1 pending reviews, 2 overdue PRs, 1 ready to merge');
+    assert.deepStrictEqual(payload.sections.map((section) => section.activityTitle),
+        ['Pending reviews', 'Open more than 6 business days', 'Ready to merge']);
+    assert.match(payload.sections[0].text,
+        /^- bob: 1 - \[Escape .*titles.* links\]\(https:\/\/github.com\/o\/r\/pull\/1\)$/);
+    assert.strictEqual(payload.sections[2].text,
+        '- [Ready to go](https://github.com/o/r/pull/2) by carol (3/3 approvals)');
+});
+
+test('the generic payload is the digest as JSON', async () => {
+    const payload = await postedPayload('generic');
+
+    assert.strictEqual(payload.title, 'PR review digest: o/r');
+    assert.deepStrictEqual(payload.pendingReviews.map(({ login, pending, prs }) =>
+        [login, pending, prs.map((pr) => pr.id)]), [['bob', 1, ['o/r#1']]]);
+    assert.deepStrictEqual(payload.overdue.map((pr) => pr.id), ['o/r#1', 'o/r#2']);
+    assert.deepStrictEqual(payload.readyToMerge.map(({ id, author, approvals }) => [id, author, approvals]),
+        [['o/r#2', 'carol', '3/3']]);
+});
+
+test('nothing is posted inside quiet hours, and the digest is sent outside them', async () => {
+    server.requests.length = 0;
+    reply = { body: 'ok' };
+
+    const quiet = await runNotify({ NOTIFY_QUIET_HOURS: quietHoursFrom(-1, 3) });
+    assert.strictEqual(quiet.code, 0, quiet.stderr);
+    assert.match(quiet.stdout, /Inside quiet hours .*, not sending the digest/);
+    assert.strictEqual(server.requests.length, 0);
+
+    const awake = await runNotify({ NOTIFY_QUIET_HOURS: quietHoursFrom(3, 3) });
+    assert.strictEqual(awake.code, 0, awake.stderr);
+    assert.strictEqual(server.requests.length, 1);
+});
+
+test('a webhook that rejects the digest fails the run', async () => {
+    reply = { status: 500, body: 'invalid_payload' };
+    const result = await runNotify({ NOTIFY_FORMAT: 'slack' });
+
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /Webhook returned HTTP 500: invalid_payload/);
+});
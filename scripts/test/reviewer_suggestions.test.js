@@ -0,0 +1,61 @@
+// Checks that reviewer suggestions weigh reviews of the author's PRs from the history store,
+// so PRs merged since an earlier run still count.
+const test = require('node:test');
+const assert = require('node:assert');
+const { processData } = require('../process_pr_reviews');
+
+const repositories = [{ owner: 'o', name: 'r' }];
+const generatedAt = new Date('2026-02-02T12:00:00Z');
+
+function pr(number, author, { reviewedBy = [], requested = [] } = {}) {
+    return {
+        number,
+        title: 'PR ' + number,
+        createdAt: '2026-01-05T12:00:00Z',
+        author: { login: author },
+        reviewRequests: { nodes: requested.map((login) => ({ requestedReviewer: { login } })) },
+        reviews: { nodes: reviewedBy.map((login) => ({
+            state: 'COMMENTED',
+            submittedAt: '2026-01-06T12:00:00Z',
+            commit: { oid: 'head' },
+            author: { login },
+        })) },
+    };
+}
+
+function prData(nodes) {
+    return { data: { repository: { pullRequests: { nodes } } } };
+}
+
+// #8 gives yan and zed the same load, so only the review history decides between them
+const openPrs = [pr(1, 'alice'), pr(8, 'bob', { requested: ['yan', 'zed'] })];
+
+function suggestionsFor(model, number) {
+    return model.prs.find((record) => record.number === number).suggestedReviewerDetails;
+}
+
+test('reviews of PRs merged since an earlier run count toward the history weight', () => {
+    // An earlier run, when alice's #9 (merged since) was open and reviewed by zed
+    const earlier = processData(prData([pr(9, 'alice', { reviewedBy: ['zed'] }), ...openPrs]),
+        { repositories, generatedAt: new Date('2026-01-20T12:00:00Z') });
+    assert.deepStrictEqual(earlier.snapshot.prs['o/r#9'].reviewedBy, ['zed']);
+
+    const model = processData(prData(openPrs), { repositories, generatedAt, history: [earlier.snapshot] });
+
+    assert.deepStrictEqual(suggestionsFor(model, 1), [
+        { login: 'zed', pending: 1, authorReviews: 1 },
+        { login: 'yan', pending: 1, authorReviews: 0 },
+    ]);
+});
+
+test('a PR seen in several runs counts once, and older snapshots without reviewers are skipped', () => {
+    const earlier = processData(prData([pr(9, 'alice', { reviewedBy: ['zed'] }), ...openPrs]),
+        { repositories, generatedAt: new Date('2026-01-20T12:00:00Z') });
+    // A snapshot written before the PRs' authors and reviewers were recorded
+    const older = { ...earlier.snapshot, prs: { 'o/r#7': { status: 'needs_review', approvals: 0, daysOpen: 3 } } };
+    const history = [older, earlier.snapshot, earlier.snapshot];
+
+    const model = processData(prData(openPrs), { repositories, generatedAt, history });
+
+    assert.strictEqual(suggestionsFor(model, 1)[0].authorReviews, 1);
+});
@@ -0,0 +1,85 @@
+// Path of the pull requests in the GraphQL response written by fetch_pr_reviews.js
+const NODES_PATH = ['data', 'repository', 'pullRequests', 'nodes'];
+
+// Connections of a pull request that hold a `nodes` list when they are present
+const CONNECTIONS = ['reviewRequests', 'reviews', 'labels', 'assignees', 'files', 'timelineItems', 'commits'];
+
+// Problems listed in one error, at most
+const MAX_PROBLEMS = 10;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Short description of an unexpected value
+function describe(value) {
+    if (value === undefined) return 'nothing';
+    const json = JSON.stringify(value);
+    return json.length > 40 ? json.slice(0, 37) + '...' : json;
+}
+
+// What is wrong with one pull request, as messages naming the field
+function checkPullRequest(pr, index) {
+    const at = 'data.repository.pullRequests.nodes[' + index + ']';
+    if (!isObject(pr)) return [at + ' should be a pull request object, got ' + describe(pr)];
+
+    const problems = [];
+    if (!Number.isInteger(pr.number)) {
+        problems.push(at + '.number should be the PR number, got ' + describe(pr.number));
+    }
+    if (typeof pr.title !== 'string') {
+        problems.push(at + '.title should be a string, got ' + describe(pr.title));
+    }
+    if (typeof pr.createdAt !== 'string' || isNaN(Date.parse(pr.createdAt))) {
+        problems.push(at + '.createdAt should be a date, got ' + describe(pr.createdAt));
+    }
+    // A deleted user's PR has no author
+    if (pr.author != null && (!isObject(pr.author) || typeof pr.author.login !== 'string')) {
+        problems.push(at + '.author should be { login } or null, got ' + describe(pr.author));
+    }
+    CONNECTIONS.forEach((connection) => {
+        const value = pr[connection];
+        if (value != null && !(isObject(value) && Array.isArray(value.nodes))) {
+            problems.push(at + '.' + connection + ' should be { nodes: [...] }, got ' + describe(value));
+        }
+    });
+    return problems;
+}
+
+/**
+ * Check that fetched pull requests have the shape processData() reads (the
+ * GraphQL response written by fetch_pr_reviews.js). Throws an error listing
+ * what is wrong, by path, so a hand-made or truncated input fails clearly
+ * instead of somewhere inside the report.
+ */
+function validatePrData(prData) {
+    if (!isObject(prData)) {
+        throw new Error('Expected a JSON object with data.repository.pullRequests.nodes, got ' + describe(prData));
+    }
+    if (!prData.data && Array.isArray(prData.errors)) {
+        throw new Error('The input is a GitHub error response: ' +
+            prData.errors.map((error) => error.message).join('; '));
+    }
+
+    let value = prData;
+    NODES_PATH.forEach((key, index) => {
+        value = isObject(value) ? value[key] : undefined;
+        if (value === undefined || value === null) {
+            throw new Error('Expected the pull requests at data.repository.pullRequests.nodes, but ' +
+                NODES_PATH.slice(0, index + 1).join('.') + ' is missing');
+        }
+    });
+    if (!Array.isArray(value)) {
+        throw new Error('data.repository.pullRequests.nodes should be a list, got ' + describe(value));
+    }
+
+    const problems = value.flatMap(checkPullRequest);
+    if (problems.length > 0) {
+        const more = problems.length > MAX_PROBLEMS ? ['... and ' + (problems.length - MAX_PROBLEMS) + ' more'] : [];
+        throw new Error('The pull requests do not have the expected shape:\n  ' +
+            problems.slice(0, MAX_PROBLEMS).concat(more).join('\n  '));
+    }
+    return prData;
+}
+
+module.exports = { validatePrData };